@@ -0,0 +1,186 @@
+const axios = require('axios');
+const xml2js = require('xml2js');
+
+// BoardGameGeek XML API2 client shared by every route that talks to BGG.
+// Point BGG_API_URL at a local stub (scripts/bgg-stub.js) to replay recorded XML.
+const DEFAULT_BASE_URL = 'https://boardgamegeek.com/xmlapi2';
+
+// BGG rejects thing requests for more than 20 ids
+const MAX_IDS_PER_REQUEST = 20;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const toArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+const parseXml = (xml) => new xml2js.Parser({ explicitArray: false }).parseStringPromise(xml);
+
+const toNumber = (field) => {
+  const value = parseFloat(field?.['$']?.value ?? field);
+  return isNaN(value) || value === 0 ? null : value;
+};
+
+const getLinks = (bggGame, type) => (
+  toArray(bggGame.link).filter(link => link.$.type === type && link.$.inbound !== 'true')
+);
+
+const getLinkValues = (bggGame, type) => getLinks(bggGame, type).map(link => link.$.value);
+
+// Player counts where "Best" got the most votes in the community poll
+const getBestPlayers = (bggGame) => {
+  const poll = toArray(bggGame.poll).find(p => p.$.name === 'suggested_numplayers');
+
+  return toArray(poll?.results)
+    .filter(results => /^\d+$/.test(results.$.numplayers))
+    .filter(results => {
+      const votes = Object.fromEntries(toArray(results.result).map(r => [r.$.value, parseInt(r.$.numvotes) || 0]));
+      return votes['Best'] > 0 && votes['Best'] >= (votes['Recommended'] || 0) && votes['Best'] >= (votes['Not Recommended'] || 0);
+    })
+    .map(results => parseInt(results.$.numplayers));
+};
+
+const parseThing = (bggGame, fallbackName) => {
+  const gameName = Array.isArray(bggGame.name) ? bggGame.name[0]['$']?.value : (bggGame.name?.['$']?.value || 'N/A');
+
+  return {
+    id: bggGame.$.id,
+    name: gameName,
+    minPlayingTime: bggGame.minplaytime?.['$']?.value || bggGame.minplaytime || 'N/A',
+    maxPlayingTime: bggGame.maxplaytime?.['$']?.value || bggGame.maxplaytime || 'N/A',
+    complexity: bggGame.statistics?.ratings?.averageweight?.['$']?.value
+      ? parseFloat(bggGame.statistics.ratings.averageweight['$'].value).toFixed(2)
+      : 'N/A',
+    link: `https://boardgamegeek.com/boardgame/${bggGame.$.id}`,
+    thumbnail: bggGame.thumbnail || null,
+    image: bggGame.image || null,
+    youtubeLink: `https://www.youtube.com/results?search_query=${encodeURIComponent(`${fallbackName || gameName} how to play board game`)}`,
+    minPlayers: toNumber(bggGame.minplayers),
+    maxPlayers: toNumber(bggGame.maxplayers),
+    bestPlayers: getBestPlayers(bggGame),
+    minAge: toNumber(bggGame.minage),
+    yearPublished: toNumber(bggGame.yearpublished),
+    categories: getLinkValues(bggGame, 'boardgamecategory'),
+    mechanics: getLinkValues(bggGame, 'boardgamemechanic'),
+    averageRating: toNumber(bggGame.statistics?.ratings?.average),
+    // Expansions published for this game (empty for expansions themselves)
+    expansionIds: getLinks(bggGame, 'boardgameexpansion').map(link => link.$.id),
+  };
+};
+
+const parseSearchItem = (game) => ({
+  id: game.$.id || 'Unknown ID',
+  name:
+    (typeof game.name === 'object' && game.name?.['$']?.value) ||
+    (Array.isArray(game.name) && game.name[0]?.['$']?.value) ||
+    'Unknown Game',
+  yearPublished:
+    (typeof game.yearpublished === 'object' && game.yearpublished?.['$']?.value) ||
+    'N/A'
+});
+
+const parseCollectionItem = (item) => ({
+  id: item.$.objectid,
+  name: typeof item.name === 'object' ? item.name._ : item.name,
+  yearPublished: parseInt(item.yearpublished) || null,
+  thumbnail: item.thumbnail || null,
+  image: item.image || null,
+  minPlayers: parseInt(item.stats?.$?.minplayers) || null,
+  maxPlayers: parseInt(item.stats?.$?.maxplayers) || null,
+  minPlayingTime: parseInt(item.stats?.$?.minplaytime) || null,
+  maxPlayingTime: parseInt(item.stats?.$?.maxplaytime) || null
+});
+
+// 202 means BGG queued the request, 429 that we are going too fast
+const isRetryable = (status) => status === 202 || status === 429 || status >= 500;
+
+const createBggClient = ({
+  baseUrl = process.env.BGG_API_URL || DEFAULT_BASE_URL,
+  maxRetries = 5,
+  retryDelay = 1000,
+  timeout = 15_000,
+  http = axios
+} = {}) => {
+  // GET and parse an XML endpoint, backing off while BGG is busy
+  const request = async (path, params, { retries = maxRetries } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      const response = await http.get(`${baseUrl}/${path}`, {
+        params,
+        timeout,
+        responseType: 'text',
+        validateStatus: () => true
+      });
+
+      if (response.status >= 200 && response.status < 300 && response.status !== 202) {
+        return parseXml(response.data);
+      }
+
+      if (!isRetryable(response.status) || attempt >= retries) {
+        const error = new Error(`BGG ${path} responded with ${response.status}`);
+        error.status = response.status;
+        throw error;
+      }
+
+      const retryAfter = parseInt(response.headers?.['retry-after']) * 1000;
+      await sleep(retryAfter > 0 ? retryAfter : retryDelay * 2 ** attempt);
+    }
+  };
+
+  // Fetches games in batches. Ids BGG could not deliver are reported in `failed`.
+  const getThings = async (ids) => {
+    const uniqueIds = [...new Set(ids.map(String))];
+    const games = [];
+    const failed = [];
+
+    for (let i = 0; i < uniqueIds.length; i += MAX_IDS_PER_REQUEST) {
+      const batch = uniqueIds.slice(i, i + MAX_IDS_PER_REQUEST);
+
+      try {
+        const result = await request('thing', { id: batch.join(','), stats: 1 });
+        const items = toArray(result.items?.item);
+
+        games.push(...items.map(item => parseThing(item)));
+        failed.push(...batch.filter(id => !items.some(item => item.$.id === id)));
+      } catch (err) {
+        console.error(`[BGG] Could not fetch ${batch.join(',')}:`, err.message);
+        failed.push(...batch);
+      }
+    }
+
+    return { games, failed };
+  };
+
+  const search = async (query, type = 'boardgame') => {
+    const result = await request('search', { query, type });
+    return toArray(result.items?.item).map(parseSearchItem);
+  };
+
+  // Games a user owns. BGG answers 202 until it has built the collection, which can
+  // take minutes for big shelves, so that is reported right away (BGG_COLLECTION_PENDING)
+  // for the caller to ask again later instead of waiting here.
+  const getCollection = async (username) => {
+    let result;
+
+    try {
+      result = await request('collection', {
+        username,
+        own: 1,
+        stats: 1,
+        excludesubtype: 'boardgameexpansion'
+      }, { retries: 0 });
+    } catch (err) {
+      if (err.status === 202) err.code = 'BGG_COLLECTION_PENDING';
+      throw err;
+    }
+
+    if (result.errors) {
+      const error = new Error(toArray(result.errors.error)[0]?.message || 'Invalid username');
+      error.code = 'BGG_USER_NOT_FOUND';
+      throw error;
+    }
+
+    return toArray(result.items?.item).map(parseCollectionItem);
+  };
+
+  return { request, getThings, search, getCollection };
+};
+
+module.exports = { createBggClient, parseThing, toArray };
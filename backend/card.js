@@ -0,0 +1,176 @@
+const axios = require('axios');
+const sharp = require('sharp');
+
+// 1200x630 share card for link previews: the game art on the left (a collage
+// for flexible sessions), session details and a seats badge on the right.
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const ART_WIDTH = 560;
+const PADDING = 56;
+
+// Bump when the layout changes, so cached cards are rendered again
+const CARD_VERSION = 1;
+
+const COLORS = {
+  background: '#111827',
+  text: '#f9fafb',
+  muted: '#9ca3af',
+  accent: '#7e22ce',
+  full: '#b45309',
+  cancelled: '#dc2626',
+  placeholder: '#374151'
+};
+
+const escapeXml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+})[char]);
+
+// Splits text into at most maxLines lines of about maxChars, ending with "…" when cut
+const wrapText = (text, maxChars, maxLines) => {
+  const lines = [];
+  let line = '';
+
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    if (!line || `${line} ${word}`.length <= maxChars) {
+      line = line ? `${line} ${word}` : word;
+    } else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines.map(l => (l.length > maxChars ? `${l.slice(0, maxChars - 1)}…` : l));
+
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = `${kept[maxLines - 1].slice(0, maxChars - 1)}…`;
+  return kept;
+};
+
+// Tile positions of the art panel for 1 to 4 games
+const getTiles = (count) => {
+  const half = HEIGHT / 2;
+  if (count <= 1) return [{ left: 0, top: 0, width: ART_WIDTH, height: HEIGHT }];
+  if (count === 2) return [0, 1].map(i => ({ left: 0, top: i * half, width: ART_WIDTH, height: half }));
+
+  const small = [
+    { left: 0, top: half, width: ART_WIDTH / 2, height: half },
+    { left: ART_WIDTH / 2, top: half, width: ART_WIDTH / 2, height: half }
+  ];
+  if (count === 3) return [{ left: 0, top: 0, width: ART_WIDTH, height: half }, ...small];
+
+  return [
+    { left: 0, top: 0, width: ART_WIDTH / 2, height: half },
+    { left: ART_WIDTH / 2, top: 0, width: ART_WIDTH / 2, height: half },
+    ...small
+  ];
+};
+
+// Game art cropped to the tile, or a plain tile with the game's initial when the image cannot be loaded
+const renderTile = async (game, tile, http) => {
+  try {
+    if (!game.image) throw new Error('No image');
+
+    const { data } = await http.get(game.image, { responseType: 'arraybuffer', timeout: 5000, maxContentLength: 10_000_000 });
+    return await sharp(Buffer.from(data)).resize(tile.width, tile.height, { fit: 'cover' }).toBuffer();
+  } catch (err) {
+    const initial = escapeXml((game.name || '?').trim().charAt(0).toUpperCase());
+
+    return Buffer.from(`
+      <svg xmlns="http://www.w3.org/2000/svg" width="${tile.width}" height="${tile.height}">
+        <rect width="100%" height="100%" fill="${COLORS.placeholder}" stroke="${COLORS.background}" stroke-width="4"/>
+        <text x="50%" y="50%" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="bold"
+          font-size="${Math.round(tile.height / 3)}" fill="${COLORS.muted}">${initial}</text>
+      </svg>
+    `);
+  }
+};
+
+const getSeatsBadge = (card) => {
+  if (card.status === 'cancelled') return { label: 'Cancelled', color: COLORS.cancelled };
+  if (card.status === 'ended') return { label: 'Ended', color: COLORS.placeholder };
+
+  const isFull = card.seatsTaken >= card.seatsTotal;
+  return { label: `${card.seatsTaken}/${card.seatsTotal} seats${isFull ? ' · full' : ''}`, color: isFull ? COLORS.full : COLORS.accent };
+};
+
+const renderDetails = (card) => {
+  const x = ART_WIDTH + PADDING;
+  const titleLines = wrapText(card.title, 20, 2);
+  const locationLines = wrapText(card.location, 30, 2);
+  const badge = getSeatsBadge(card);
+  const badgeWidth = Math.round(badge.label.length * 19 + 64);
+
+  let y = PADDING + 24;
+  const text = [
+    `<text x="${x}" y="${y}" font-size="24" font-weight="bold" letter-spacing="3" fill="${COLORS.muted}">${escapeXml(card.kicker.toUpperCase())}</text>`
+  ];
+
+  y += 28;
+  titleLines.forEach(line => {
+    y += 62;
+    text.push(`<text x="${x}" y="${y}" font-size="54" font-weight="bold" fill="${COLORS.text}">${escapeXml(line)}</text>`);
+  });
+
+  y += 34;
+  [card.date, card.time].forEach(line => {
+    y += 48;
+    text.push(`<text x="${x}" y="${y}" font-size="36" fill="${COLORS.text}">${escapeXml(line)}</text>`);
+  });
+
+  y += 8;
+  locationLines.forEach(line => {
+    y += 42;
+    text.push(`<text x="${x}" y="${y}" font-size="32" fill="${COLORS.muted}">${escapeXml(line)}</text>`);
+  });
+
+  return `
+    <svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" font-family="sans-serif">
+      ${text.join('\n')}
+      <rect x="${x}" y="${HEIGHT - PADDING - 64}" width="${badgeWidth}" height="64" rx="32" fill="${badge.color}"/>
+      <text x="${x + badgeWidth / 2}" y="${HEIGHT - PADDING - 22}" text-anchor="middle" font-size="32" font-weight="bold"
+        fill="${COLORS.text}">${escapeXml(badge.label)}</text>
+    </svg>
+  `;
+};
+
+// Renders a card to JPEG. card: { kicker, title, date, time, location, games: [{ name, image }],
+// seatsTaken, seatsTotal, status: 'open' | 'cancelled' | 'ended' }
+const renderShareCard = async (card, { http = axios } = {}) => {
+  const games = card.games.length ? card.games.slice(0, 4) : [{ name: card.title }];
+  const tiles = getTiles(games.length);
+  const art = await Promise.all(games.map((game, i) => renderTile(game, tiles[i], http)));
+
+  const layers = art.map((input, i) => ({ input, left: tiles[i].left, top: tiles[i].top }));
+
+  // More games than tiles: "+N" on the last one
+  const hidden = card.games.length - games.length;
+  if (hidden > 0) {
+    const last = tiles[tiles.length - 1];
+    layers.push({
+      input: Buffer.from(`
+        <svg xmlns="http://www.w3.org/2000/svg" width="${last.width}" height="${last.height}">
+          <rect width="100%" height="100%" fill="#000" fill-opacity="0.55"/>
+          <text x="50%" y="50%" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-weight="bold"
+            font-size="72" fill="${COLORS.text}">+${hidden}</text>
+        </svg>
+      `),
+      left: last.left,
+      top: last.top
+    });
+  }
+
+  layers.push({ input: Buffer.from(renderDetails(card)), left: 0, top: 0 });
+
+  return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: COLORS.background } })
+    .composite(layers)
+    .jpeg({ quality: 85 })
+    .toBuffer();
+};
+
+module.exports = { CARD_VERSION, WIDTH, HEIGHT, renderShareCard };
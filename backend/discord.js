@@ -0,0 +1,157 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { getStartsAt } = require('./time');
+
+// Discord interactions (slash commands). Discord signs every request with the
+// application's Ed25519 key: X-Signature-Ed25519 is the hex signature of
+// "<X-Signature-Timestamp><raw body>", checked against DISCORD_PUBLIC_KEY.
+
+const InteractionType = { PING: 1, APPLICATION_COMMAND: 2 };
+
+const InteractionResponseType = {
+  PONG: 1,
+  CHANNEL_MESSAGE_WITH_SOURCE: 4,
+  DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE: 5
+};
+
+// Message flag that shows a reply only to the user who ran the command
+const EPHEMERAL = 64;
+
+const OptionType = { SUB_COMMAND: 1, STRING: 3, INTEGER: 4 };
+
+// Registered once per application, see scripts/register-discord-commands.js
+const BOARDGAME_COMMAND = {
+  name: 'boardgame',
+  description: 'Schedule board game sessions',
+  options: [
+    {
+      type: OptionType.SUB_COMMAND,
+      name: 'create',
+      description: 'Create a session',
+      options: [
+        { type: OptionType.STRING, name: 'game', description: 'Game to look up on BoardGameGeek', required: true },
+        { type: OptionType.STRING, name: 'date', description: 'Date as YYYY-MM-DD', required: true },
+        { type: OptionType.STRING, name: 'time', description: 'Start time as HH:MM', required: true },
+        { type: OptionType.STRING, name: 'location', description: 'Where you will play', required: true },
+        { type: OptionType.INTEGER, name: 'players', description: 'Seats including yours', required: true, min_value: 1, max_value: 100 },
+        { type: OptionType.STRING, name: 'timezone', description: 'IANA timezone, e.g. Europe/Amsterdam' }
+      ]
+    },
+    {
+      type: OptionType.SUB_COMMAND,
+      name: 'list',
+      description: 'Show upcoming public sessions'
+    },
+    {
+      type: OptionType.SUB_COMMAND,
+      name: 'join',
+      description: 'Take a seat at a session',
+      options: [
+        { type: OptionType.STRING, name: 'session', description: 'Session link or id', required: true }
+      ]
+    }
+  ]
+};
+
+// SubjectPublicKeyInfo header of a raw 32 byte Ed25519 key
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+
+// Signed requests older (or newer) than this are refused, so a captured one cannot be replayed later
+const MAX_TIMESTAMP_SKEW_SECONDS = 5 * 60;
+
+const verifyRequest = (publicKey, signature, timestamp, rawBody, now = Date.now()) => {
+  if (!publicKey || !signature || !timestamp || !rawBody) return false;
+  if (!/^\d+$/.test(timestamp) || Math.abs(now / 1000 - Number(timestamp)) > MAX_TIMESTAMP_SKEW_SECONDS) return false;
+
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([ED25519_SPKI_PREFIX, Buffer.from(publicKey, 'hex')]),
+      format: 'der',
+      type: 'spki'
+    });
+
+    return crypto.verify(null, Buffer.concat([Buffer.from(timestamp), rawBody]), key, Buffer.from(signature, 'hex'));
+  } catch (err) {
+    return false;
+  }
+};
+
+// Subcommand name and its options as { name: value }
+const getCommandOptions = (interaction) => {
+  const [subcommand] = interaction.data?.options || [];
+
+  return {
+    subcommand: subcommand?.name,
+    options: Object.fromEntries((subcommand?.options || []).map(option => [option.name, option.value]))
+  };
+};
+
+// Server nickname, then display name, then username
+const getDisplayName = (interaction) => {
+  const user = interaction.member?.user || interaction.user || {};
+  return interaction.member?.nick || user.global_name || user.username || 'Discord user';
+};
+
+// Slug from a session link (app or /preview) or the bare id
+const parseSessionId = (value) => {
+  const text = String(value || '').trim();
+
+  try {
+    const url = new URL(text);
+    return url.searchParams.get('table') || url.pathname.split('/').filter(Boolean).pop();
+  } catch (err) {
+    return text;
+  }
+};
+
+const getSeatsText = (table) => {
+  const seatsLeft = table.playersNeeded - table.participants.length;
+  if (seatsLeft > 0) return `${seatsLeft} of ${table.playersNeeded} left`;
+
+  return table.waitlist.length ? `Full, ${table.waitlist.length} on the waitlist` : 'Full, join the waitlist';
+};
+
+const buildTableEmbed = (table, { title, url }) => {
+  const thumbnail = table.isFlexible ? table.flexibleGames[0]?.thumbnail : table.gameData?.thumbnail;
+
+  return {
+    title: table.isCancelled ? `CANCELLED: ${title}` : title,
+    url,
+    // <t:…:F> renders in each reader's own timezone
+    description: `<t:${Math.floor(getStartsAt(table).getTime() / 1000)}:F>\n${table.location}`,
+    fields: [
+      { name: 'Seats', value: getSeatsText(table), inline: true },
+      { name: 'Players', value: table.participants.join(', ') || 'Nobody yet', inline: true }
+    ],
+    thumbnail: thumbnail ? { url: thumbnail } : undefined,
+    color: 0x4f46e5
+  };
+};
+
+const DISCORD_API_URL = process.env.DISCORD_API_URL || 'https://discord.com/api/v10';
+
+// Replaces the "thinking…" message of a deferred interaction
+const editReply = (interaction, message) => axios.patch(
+  `${DISCORD_API_URL}/webhooks/${interaction.application_id}/${interaction.token}/messages/@original`,
+  message
+);
+
+// Sends an extra message, e.g. an ephemeral one with the organizer link
+const followUp = (interaction, message) => axios.post(
+  `${DISCORD_API_URL}/webhooks/${interaction.application_id}/${interaction.token}`,
+  message
+);
+
+module.exports = {
+  InteractionType,
+  InteractionResponseType,
+  EPHEMERAL,
+  BOARDGAME_COMMAND,
+  verifyRequest,
+  getCommandOptions,
+  getDisplayName,
+  parseSessionId,
+  buildTableEmbed,
+  editReply,
+  followUp
+};
@@ -0,0 +1,78 @@
+// iCalendar (RFC 5545) export of tables
+
+const { getStartsAt, estimateDuration } = require('./time');
+
+const APP_URL = 'https://boardgame-scheduler.netlify.app';
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets must be folded onto continuation lines
+const foldLine = (line) => {
+  const chunks = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (chunks.length ? 74 : 75)) {
+      chunks.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  chunks.push(current);
+
+  return chunks.join('\r\n ');
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Times are exported in UTC so calendars show them in each subscriber's own timezone
+const formatUtc = (date) => (
+  `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}` +
+  `T${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}00Z`
+);
+
+const getGameNames = (table) => (
+  table.isFlexible
+    ? table.flexibleGames.map(g => g.name).join(', ')
+    : table.gameData?.name || table.gameName || 'Board Game'
+);
+
+const buildEvent = (table) => {
+  const key = table.slug || table._id;
+  const start = getStartsAt(table) || new Date(table.date);
+  const end = new Date(start.getTime() + estimateDuration(table) * 60_000);
+  const url = `${APP_URL}/?table=${key}`;
+
+  return [
+    'BEGIN:VEVENT',
+    `UID:${key}@boardgame-scheduler`,
+    `DTSTAMP:${formatUtc(new Date(table.updatedAt || Date.now()))}`,
+    `DTSTART:${formatUtc(start)}`,
+    `DTEND:${formatUtc(end)}`,
+    `SUMMARY:${escapeText(`${table.isFlexible ? 'Board games' : getGameNames(table)} at ${table.location}`)}`,
+    `LOCATION:${escapeText(table.location)}`,
+    `DESCRIPTION:${escapeText(
+      `Games: ${getGameNames(table)}\nPlayers: ${table.participants.join(', ')} (${table.participants.length}/${table.playersNeeded})\n${url}`
+    )}`,
+    `URL:${url}`,
+    `STATUS:${table.isCancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ];
+};
+
+const buildCalendar = (tables, name = 'Board Game Sessions') => [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'PRODID:-//Board Game Scheduler//EN',
+  'CALSCALE:GREGORIAN',
+  'METHOD:PUBLISH',
+  `X-WR-CALNAME:${escapeText(name)}`,
+  ...tables.flatMap(buildEvent),
+  'END:VCALENDAR'
+].map(foldLine).join('\r\n') + '\r\n';
+
+module.exports = { buildCalendar };
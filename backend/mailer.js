@@ -0,0 +1,35 @@
+const nodemailer = require('nodemailer');
+
+// Sends notification emails through any nodemailer transport.
+// SMTP_URL picks the SMTP server (e.g. smtp://localhost:1025 for a local test
+// server). Without it, emails are only logged.
+const createMailer = ({
+  transport = process.env.SMTP_URL
+    ? nodemailer.createTransport(process.env.SMTP_URL)
+    : nodemailer.createTransport({ jsonTransport: true }),
+  from = process.env.MAIL_FROM || 'Board Game Scheduler <no-reply@boardgame-scheduler.app>'
+} = {}) => {
+  const isLogOnly = !!transport.options?.jsonTransport;
+
+  const send = async ({ to, subject, text, unsubscribeUrl }) => {
+    const message = {
+      from,
+      to,
+      subject,
+      text: unsubscribeUrl ? `${text}\n\n--\nStop emails about this session: ${unsubscribeUrl}` : text,
+      // Lets mail clients show their own unsubscribe button (RFC 8058)
+      headers: unsubscribeUrl ? {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      } : {}
+    };
+
+    const info = await transport.sendMail(message);
+    if (isLogOnly) console.log(`[Mailer] Not sent (SMTP_URL is not set): "${subject}"`);
+    return info;
+  };
+
+  return { send };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+// Local stand-in for the BGG XML API2, replaying the responses in scripts/bgg-fixtures.
+//
+//   node scripts/bgg-stub.js
+//   BGG_API_URL=http://localhost:5065 npm start
+//
+// thing      items from bgg-fixtures/thing/<id>.xml, unknown ids are left out like BGG does
+// search     items of bgg-fixtures/search.xml whose name contains the query, filtered by type
+// collection bgg-fixtures/collection/<username>.xml, or BGG's "Invalid username" error
+//
+// BGG_STUB_BUSY=2 answers the first 2 requests of every URL with 202 to exercise the client's retries.
+// test/bgg.test.js starts the same stub in-process.
+
+const PORT = parseInt(process.env.BGG_STUB_PORT) || 5065;
+const BUSY_REQUESTS = parseInt(process.env.BGG_STUB_BUSY) || 0;
+const FIXTURES_DIR = path.join(__dirname, 'bgg-fixtures');
+
+const readFixture = (...parts) => {
+  const file = path.join(FIXTURES_DIR, ...parts);
+  return file.startsWith(FIXTURES_DIR) && fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+};
+
+// <item>…</item> blocks of a fixture
+const getItems = (xml) => (xml || '').match(/<item\b[\s\S]*?<\/item>/g) || [];
+
+const wrapItems = (items) => (
+  `<?xml version="1.0" encoding="utf-8"?>\n<items total="${items.length}" termsofuse="https://boardgamegeek.com/xmlapi/termsofuse">\n${items.join('\n')}\n</items>`
+);
+
+const decodeXml = (text) => text.replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"');
+
+const routes = {
+  thing: (params) => wrapItems(
+    (params.get('id') || '').split(',').flatMap(id => getItems(readFixture('thing', `${id.replace(/\D/g, '')}.xml`)))
+  ),
+
+  search: (params) => {
+    const query = (params.get('query') || '').toLowerCase();
+    const types = (params.get('type') || 'boardgame').split(',');
+
+    return wrapItems(getItems(readFixture('search.xml')).filter(item => {
+      const name = decodeXml(/<name[^>]*value="([^"]*)"/.exec(item)?.[1] || '');
+      const type = /<item[^>]*type="([^"]*)"/.exec(item)?.[1];
+      return name.toLowerCase().includes(query) && types.includes(type);
+    }));
+  },
+
+  collection: (params) => (
+    readFixture('collection', `${(params.get('username') || '').toLowerCase().replace(/[^a-z0-9_-]/g, '')}.xml`) ||
+    '<?xml version="1.0" encoding="utf-8" standalone="yes"?>\n<errors>\n  <error>\n    <message>Invalid username specified</message>\n  </error>\n</errors>'
+  )
+};
+
+// Stub server, not yet listening. Request URLs are recorded in server.requests.
+const createBggStub = ({ busyRequests = 0, log = () => {} } = {}) => {
+  const requestCounts = new Map();
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname.split('/').filter(Boolean).pop()];
+
+    if (!route) {
+      res.statusCode = 404;
+      return res.end('Not found');
+    }
+
+    server.requests.push(req.url);
+    const count = (requestCounts.get(req.url) || 0) + 1;
+    requestCounts.set(req.url, count);
+
+    if (count <= busyRequests) {
+      log(`202 ${req.url}`);
+      res.statusCode = 202;
+      return res.end('<message>Your request for this collection has been accepted and will be processed.</message>');
+    }
+
+    log(`200 ${req.url}`);
+    res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+    res.end(route(url.searchParams));
+  });
+
+  server.requests = [];
+  return server;
+};
+
+if (require.main === module) {
+  createBggStub({ busyRequests: BUSY_REQUESTS, log: console.log })
+    .listen(PORT, () => console.log(`BGG stub listening on http://localhost:${PORT}`));
+}
+
+module.exports = { createBggStub };
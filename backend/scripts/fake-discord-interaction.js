@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const http = require('http');
+const axios = require('axios');
+
+// Sends a /boardgame interaction signed with a local key, the way Discord would.
+//
+//   node scripts/fake-discord-interaction.js keys
+//     Prints a key pair. Start the server with DISCORD_PUBLIC_KEY set to the public key
+//     (and DISCORD_API_URL=http://localhost:5055 to receive follow-up messages here).
+//
+//   DISCORD_TEST_PRIVATE_KEY=... node scripts/fake-discord-interaction.js <create|list|join> [option=value ...]
+//     e.g. create game=Catan date=2026-11-07 time=19:00 location=Cafe players=4 timezone=Europe/Amsterdam
+//     Prints the response, then for create and join any follow-up messages for 15 seconds.
+//
+// test/discord.test.js signs its payloads with the same helpers.
+
+const INTERACTIONS_URL = process.env.INTERACTIONS_URL || 'http://localhost:5000/api/discord/interactions';
+const FAKE_DISCORD_PORT = parseInt(process.env.FAKE_DISCORD_PORT) || 5055;
+const FOLLOW_UP_WAIT_MS = 15_000;
+
+// Raw key pair as Discord shows the public key: the last 32 bytes of the SPKI encoding
+const generateKeys = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+
+  return {
+    publicKey: publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex'),
+    privateKey: privateKey.export({ format: 'der', type: 'pkcs8' }).toString('hex')
+  };
+};
+
+const buildInteraction = (subcommand, options = [], name = 'Local Tester') => ({
+  id: crypto.randomBytes(8).toString('hex'),
+  application_id: 'local-test',
+  token: crypto.randomBytes(16).toString('hex'),
+  type: 2,
+  data: { name: 'boardgame', options: [{ type: 1, name: subcommand, options }] },
+  member: { nick: name, user: { id: '1', username: 'local-tester' } }
+});
+
+// Body and signature headers of a request signed like Discord does
+const signRequest = (interaction, privateKeyHex, timestamp = String(Math.floor(Date.now() / 1000))) => {
+  const privateKey = crypto.createPrivateKey({ key: Buffer.from(privateKeyHex, 'hex'), format: 'der', type: 'pkcs8' });
+  const body = JSON.stringify(interaction);
+
+  return {
+    body,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Signature-Ed25519': crypto.sign(null, Buffer.from(timestamp + body), privateKey).toString('hex'),
+      'X-Signature-Timestamp': timestamp
+    }
+  };
+};
+
+// Stands in for Discord's webhook API, printing what the server sends
+const printFollowUps = () => {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      console.log(`\n${req.method} ${req.url}\n${JSON.stringify(JSON.parse(body || '{}'), null, 2)}`);
+      res.setHeader('Content-Type', 'application/json');
+      res.end('{}');
+    });
+  });
+
+  server.listen(FAKE_DISCORD_PORT);
+  setTimeout(() => server.close(), FOLLOW_UP_WAIT_MS).unref();
+  return server;
+};
+
+const send = async (subcommand, args) => {
+  const options = args.map(arg => {
+    const [name, ...value] = arg.split('=');
+    const text = value.join('=');
+    return { name, value: name === 'players' ? parseInt(text) : text };
+  });
+
+  const interaction = buildInteraction(subcommand, options, process.env.DISCORD_TEST_NAME);
+  const { body, headers } = signRequest(interaction, process.env.DISCORD_TEST_PRIVATE_KEY);
+
+  const followUps = printFollowUps();
+
+  const response = await axios.post(INTERACTIONS_URL, body, { validateStatus: () => true, headers });
+
+  console.log(`${response.status}\n${JSON.stringify(response.data, null, 2)}`);
+
+  // Deferred commands (type 5) reply through the webhook API, and joins send the seat link there
+  if (response.data?.type !== 5 && subcommand !== 'join') followUps.close();
+};
+
+if (require.main === module) {
+  const [subcommand, ...args] = process.argv.slice(2);
+
+  if (subcommand === 'keys') {
+    const { publicKey, privateKey } = generateKeys();
+    console.log(`DISCORD_PUBLIC_KEY=${publicKey}`);
+    console.log(`DISCORD_TEST_PRIVATE_KEY=${privateKey}`);
+    process.exit(0);
+  }
+
+  if (!subcommand || !process.env.DISCORD_TEST_PRIVATE_KEY) {
+    console.error("Usage: DISCORD_TEST_PRIVATE_KEY=... node scripts/fake-discord-interaction.js <create|list|join> [option=value ...]");
+    process.exit(1);
+  }
+
+  send(subcommand, args).catch(err => {
+    console.error("Request failed:", err.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { generateKeys, buildInteraction, signRequest };
@@ -0,0 +1,23 @@
+const axios = require('axios');
+const { BOARDGAME_COMMAND } = require('../discord');
+
+// Registers the /boardgame slash command for the Discord application.
+// Usage: DISCORD_APPLICATION_ID=... DISCORD_BOT_TOKEN=... node scripts/register-discord-commands.js
+
+const { DISCORD_APPLICATION_ID, DISCORD_BOT_TOKEN } = process.env;
+
+if (!DISCORD_APPLICATION_ID || !DISCORD_BOT_TOKEN) {
+  console.error("DISCORD_APPLICATION_ID and DISCORD_BOT_TOKEN are required");
+  process.exit(1);
+}
+
+axios.put(
+  `https://discord.com/api/v10/applications/${DISCORD_APPLICATION_ID}/commands`,
+  [BOARDGAME_COMMAND],
+  { headers: { Authorization: `Bot ${DISCORD_BOT_TOKEN}` } }
+)
+  .then(() => console.log(`Registered /${BOARDGAME_COMMAND.name}`))
+  .catch(err => {
+    console.error("Registration failed:", err.response?.data || err.message);
+    process.exit(1);
+  });
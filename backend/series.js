@@ -0,0 +1,56 @@
+// Recurrence rules of session series. Dates are "YYYY-MM-DD" strings on the
+// organizer's wall clock, so occurrences do not shift with DST changes.
+
+const DAY_MS = 86_400_000;
+const MAX_INTERVAL_WEEKS = 4;
+
+const toDate = (day) => new Date(day).toISOString().slice(0, 10);
+
+// NaN for malformed dates, and for impossible ones such as February 31 that Date.parse rolls over
+const toDay = (date) => {
+  if (typeof date !== 'string') return NaN;
+
+  const day = Date.parse(`${date}T00:00:00Z`);
+  return !isNaN(day) && toDate(day) === date ? day : NaN;
+};
+
+const isNumeric = (value) => typeof value === 'number' || typeof value === 'string';
+
+// Cleans up a rule sent by a client. Returns null when it cannot be used.
+const normalizeRule = (rule, startDate) => {
+  if (!rule || typeof rule !== 'object' || isNaN(toDay(startDate))) return null;
+
+  const weekdays = [...new Set((Array.isArray(rule.weekdays) ? rule.weekdays : [])
+    .filter(isNumeric)
+    .map(day => parseInt(day))
+    .filter(day => day >= 0 && day <= 6))];
+
+  return {
+    // Weekday of the first session when none are given (0 is Sunday)
+    weekdays: weekdays.length ? weekdays.sort() : [new Date(toDay(startDate)).getUTCDay()],
+    interval: Math.min(MAX_INTERVAL_WEEKS, Math.max(1, (isNumeric(rule.interval) && parseInt(rule.interval)) || 1)),
+    startDate,
+    until: !isNaN(toDay(rule.until)) ? rule.until : null
+  };
+};
+
+// Dates between from and to (inclusive) the rule falls on. Weeks are counted
+// from the Sunday before startDate, so "every 2 weeks" keeps its rhythm.
+const getOccurrences = (rule, from, to) => {
+  const firstDay = toDay(rule.startDate);
+  const firstWeek = firstDay - new Date(firstDay).getUTCDay() * DAY_MS;
+  const start = Math.max(firstDay, toDay(from));
+  const end = rule.until ? Math.min(toDay(to), toDay(rule.until)) : toDay(to);
+
+  const dates = [];
+  for (let day = start; day <= end; day += DAY_MS) {
+    const week = Math.floor((day - firstWeek) / (7 * DAY_MS));
+    if (rule.weekdays.includes(new Date(day).getUTCDay()) && week % rule.interval === 0) {
+      dates.push(toDate(day));
+    }
+  }
+
+  return dates;
+};
+
+module.exports = { normalizeRule, getOccurrences };
@@ -1,12 +1,25 @@
 const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
-const xml2js = require('xml2js');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { buildCalendar } = require('./ics');
+const { createBggClient } = require('./bgg');
+const { DEFAULT_TIMEZONE, isValidTimeZone, zonedTimeToUtc, toZonedParts, getStartsAt, getEndsAt, formatInTimeZone, formatDateAndTime } = require('./time');
+const { normalizeRule, getOccurrences } = require('./series');
+const { createMailer } = require('./mailer');
+const { WEBHOOK_EVENTS, MAX_ATTEMPTS, getRetryDelay, isValidWebhookUrl, isPublicWebhookUrl, postWebhook } = require('./webhooks');
+const discord = require('./discord');
+const { CARD_VERSION, WIDTH: CARD_WIDTH, HEIGHT: CARD_HEIGHT, renderShareCard } = require('./card');
 
 const app = express();
+const API_URL = process.env.PUBLIC_API_URL || 'https://boardgame-scheduler.onrender.com';
+const bgg = createBggClient();
+const mailer = createMailer();
 app.use(cors());
-app.use(express.json());
+// The raw body is kept for checking Discord's request signatures
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGO_URI, {
@@ -15,53 +28,100 @@ mongoose.connect(process.env.MONGO_URI, {
 });
 console.log("Connected to MongoDB");
 
+// BGG details stored for the game of a session, or each flexible game
+const gameDataFields = {
+  id: String,
+  name: String,
+  minPlayingTime: String,
+  maxPlayingTime: String,
+  complexity: String,
+  link: String,
+  thumbnail: String,
+  image: String,
+  youtubeLink: String,
+  minPlayers: Number,
+  maxPlayers: Number,
+  // Player counts the BGG community poll votes as "Best"
+  bestPlayers: [Number],
+  minAge: Number,
+  yearPublished: Number,
+  categories: [String],
+  mechanics: [String],
+  averageRating: Number,
+  // Participant who will bring their copy
+  broughtBy: String,
+  expansions: [{ _id: false, id: String, name: String, link: String }]
+};
+
 // Table Schema
 const TableSchema = new mongoose.Schema({
+  // Unguessable share id used in links instead of the ObjectId
+  slug: { type: String, unique: true, sparse: true },
+  // Organizer's wall clock date and "HH:MM" time, kept alongside startsAt for older clients
   date: { type: Date, required: true },
   time: { type: String, required: true },
+  startsAt: { type: Date, index: true },
+  // IANA timezone the organizer scheduled in, e.g. "Europe/Amsterdam"
+  timezone: { type: String, default: DEFAULT_TIMEZONE },
   location: { type: String, required: true },
   gameName: { type: String },
   gameId: { type: String },
   playersNeeded: { type: Number, required: true },
   organizerJoins: { type: Boolean, default: false },
   participants: { type: [String], default: [] },
+  waitlist: { type: [String], default: [] },
+  // Secret handed to each joiner (or waitlisted player) so they, and only they, can leave later
+  participantSecrets: {
+    type: [{ _id: false, name: String, token: String }],
+    default: []
+  },
+  organizerToken: { type: String },
+  // Participants who left an email address for notifications. The token is their unsubscribe link.
+  subscribers: {
+    type: [{ _id: false, name: String, email: String, token: String }],
+    default: []
+  },
+  reminderSentAt: { type: Date, default: null },
   isPrivate: {
     type: Boolean,
     default: false
   },
-  gameData: {
-    id: String,
-    name: String,
-    minPlayingTime: String,
-    maxPlayingTime: String,
-    complexity: String,
-    link: String,
-    thumbnail: String,
-    image: String,
-    youtubeLink: String
-  },
+  gameData: gameDataFields,
   isFlexible: { type: Boolean, default: false },
-  flexibleGames: [{ 
-    id: String,
-    name: String,
-    minPlayingTime: String,
-    maxPlayingTime: String,
-    complexity: String,
-    link: String,
-    thumbnail: String,
-    image: String,
-    youtubeLink: String
-  }]
+  isCancelled: { type: Boolean, default: false },
+  // Set by the archive job once the session is over
+  archivedAt: { type: Date, default: null, index: true },
+  // Slug of the series this session was generated from, and the date it was generated for
+  seriesId: { type: String, index: true },
+  seriesDate: { type: String },
+  flexibleGames: [gameDataFields],
+  // Upvotes on flexibleGames, keyed by the game's BGG id
+  votes: {
+    type: [{ _id: false, voter: String, gameId: String }],
+    default: []
+  }
 }, {
-  timestamps: true,
-  expires: '1d'
+  timestamps: true
 });
 
-const formatDate = (dateString) => {
-  const options = { year: 'numeric', month: 'long', day: 'numeric' };
-  const date = new Date(dateString);
-  return new Intl.DateTimeFormat('en-GB', options).format(date);
-};
+// One session per series and date, even when the generator runs twice
+TableSchema.index({ seriesId: 1, seriesDate: 1 }, { unique: true, partialFilterExpression: { seriesId: { $exists: true } } });
+
+TableSchema.pre('save', function (next) {
+  if (!this.slug) this.slug = crypto.randomBytes(12).toString('base64url');
+  if (!this.startsAt) this.startsAt = getStartsAt(this);
+  next();
+});
+
+// Never leak the secrets to API consumers
+TableSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.organizerToken;
+    delete ret.participantSecrets;
+    delete ret.subscribers;
+    return ret;
+  }
+});
 
 const getComplexityCategory = (complexityValue) => {
   if (complexityValue < 2) return 'Light';
@@ -76,281 +136,2022 @@ const getComplexity = (complexityValue) => {
   return `${getComplexityCategory(complexityValue)} (${complexityValue})`;
 };
 
+// "Wingspan + European Expansion"
+const withExpansions = (game) => [game.name, ...(game.expansions || []).map(e => e.name)].join(' + ');
+
 const getPlayingTime = (minPlayingTime, maxPlayingTime) => {
   if (!minPlayingTime || !maxPlayingTime) return 'N/A';
 
   return `${minPlayingTime}-${maxPlayingTime}`;
 };
 
-function sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms));
-}
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// For user text in HTML element content and quoted attributes
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+})[char]);
+
+// JSON for a <script> block. "<" is escaped so user text cannot close the script element.
+const toScriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+const generateToken = () => crypto.randomBytes(24).toString('hex');
+
+const tokensMatch = (expected, given) => {
+  if (!expected || !given || typeof given !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+const isOrganizer = (req, table) => tokensMatch(table.organizerToken, req.get('X-Organizer-Token'));
+
+const isParticipant = (table, name, participantToken) => (
+  table.participantSecrets.some(s => s.name === name && tokensMatch(s.token, participantToken))
+);
+
+// Votes of a participant, ignoring games that are not on the table
+const buildVotes = (table, voter, gameIds) => {
+  const validIds = table.flexibleGames.map(g => g.id);
+  const uniqueIds = [...new Set((gameIds || []).map(String))].filter(id => validIds.includes(id));
+
+  return uniqueIds.map(gameId => ({ voter, gameId }));
+};
+
+// Replaces a voter's votes in one update, so votes saved at the same time by others are kept
+const setVotesUpdate = (table, voter, gameIds) => [{
+  $set: {
+    votes: {
+      $concatArrays: [
+        // $literal, as names starting with "$" would be read as field paths
+        { $filter: { input: '$votes', cond: { $ne: ['$$this.voter', { $literal: voter }] } } },
+        { $literal: buildVotes(table, voter, gameIds) }
+      ]
+    }
+  }
+}];
+
+const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Optional email field: '' when left out, null when it is not a valid address
+const parseEmail = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') return null;
+
+  const email = value.trim();
+  return !email || isValidEmail(email) ? email : null;
+};
+
+// Subscriber entry for an optional email address
+const buildSubscribers = (name, email) => (email ? [{ name, email, token: generateToken() }] : []);
+
+// Names are unique per table, ignoring case
+const sameNameRegex = (name) => new RegExp(`^${escapeRegex(name)}$`, 'i');
+
+const hasFreeSeatExpr = { $lt: [{ $size: '$participants' }, '$playersNeeded'] };
 
 const Table = mongoose.model('Table', TableSchema);
 
-// Search BGG
+// Recurring sessions, e.g. every Tuesday at 19:00. Each date becomes its own
+// Table, so people join, and organizers skip or edit, one session at a time.
+const SeriesSchema = new mongoose.Schema({
+  slug: { type: String, unique: true, sparse: true },
+  organizerToken: { type: String },
+  // Added to every session when the organizer joins, with their optional email
+  organizerName: { type: String },
+  organizerEmail: { type: String },
+  rule: {
+    weekdays: [Number],
+    interval: { type: Number, default: 1 },
+    startDate: { type: String, required: true },
+    until: { type: String, default: null }
+  },
+  time: { type: String, required: true },
+  timezone: { type: String, default: DEFAULT_TIMEZONE },
+  location: { type: String, required: true },
+  playersNeeded: { type: Number, required: true },
+  isPrivate: { type: Boolean, default: false },
+  isFlexible: { type: Boolean, default: false },
+  gameName: { type: String },
+  gameId: { type: String },
+  gameData: gameDataFields,
+  flexibleGames: [gameDataFields],
+  isCancelled: { type: Boolean, default: false }
+}, {
+  timestamps: true
+});
+
+SeriesSchema.pre('save', function (next) {
+  if (!this.slug) this.slug = crypto.randomBytes(12).toString('base64url');
+  next();
+});
+
+SeriesSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.organizerToken;
+    delete ret.organizerEmail;
+    return ret;
+  }
+});
+
+const Series = mongoose.model('Series', SeriesSchema);
+
+// Saved starting points for new sessions. There are no accounts, so templates
+// belong to a random key the organizer's browser generates and keeps.
+const TemplateSchema = new mongoose.Schema({
+  organizerKey: { type: String, required: true, index: true },
+  name: { type: String, required: true },
+  location: { type: String },
+  playersNeeded: { type: Number },
+  isFlexible: { type: Boolean, default: false },
+  // Game shortlist: the session's game, or the flexible session's options
+  games: { type: [{ _id: false, id: String, name: String }], default: [] }
+}, {
+  timestamps: true
+});
+
+TemplateSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.organizerKey;
+    return ret;
+  }
+});
+
+const Template = mongoose.model('Template', TemplateSchema);
+
+// URLs told about table events. Scoped to one table (registered by its
+// organizer) or to every public table (registered with WEBHOOK_ADMIN_KEY).
+const WebhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  secret: { type: String, required: true },
+  events: { type: [String], default: WEBHOOK_EVENTS },
+  // Slug of the table, null for community-wide webhooks
+  tableId: { type: String, default: null, index: true }
+}, {
+  timestamps: true
+});
+
+WebhookSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.secret;
+    return ret;
+  }
+});
+
+// Delivery log of a webhook, kept for 30 days
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhookId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'delivered', 'failed'], default: 'pending' },
+  attempts: {
+    type: [{ _id: false, at: Date, statusCode: Number, error: String }],
+    default: []
+  },
+  nextAttemptAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now, index: { expires: '30d' } }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const Webhook = mongoose.model('Webhook', WebhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', WebhookDeliverySchema);
+
+// Rendered share card of a table, one per table version
+const ShareImageSchema = new mongoose.Schema({
+  tableId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  version: { type: String, required: true },
+  image: { type: Buffer, required: true },
+  createdAt: { type: Date, default: Date.now, index: { expires: '30d' } }
+});
+ShareImageSchema.index({ tableId: 1, version: 1 }, { unique: true });
+
+const ShareImage = mongoose.model('ShareImage', ShareImageSchema);
+
+// BGG metadata cache: parsed thing data keyed by BGG id, plus search results
+// and user collections keyed by query and type
+const GameSchema = new mongoose.Schema({
+  bggId: { type: String, required: true, unique: true },
+  data: { type: mongoose.Schema.Types.Mixed, required: true },
+  // Bumped whenever parseThing starts keeping more fields
+  version: { type: Number, default: 1 },
+  fetchedAt: { type: Date, default: Date.now, index: true }
+});
+
+const GameSearchSchema = new mongoose.Schema({
+  query: { type: String, required: true },
+  type: { type: String, default: 'boardgame' },
+  results: { type: mongoose.Schema.Types.Mixed, default: [] },
+  // Searches nobody repeats are dropped after a month
+  fetchedAt: { type: Date, default: Date.now, index: { expires: '30d' } }
+});
+GameSearchSchema.index({ query: 1, type: 1 }, { unique: true });
+
+const Game = mongoose.model('Game', GameSchema);
+const GameSearch = mongoose.model('GameSearch', GameSearchSchema);
+
+const GAME_CACHE_TTL_MS = (parseFloat(process.env.BGG_CACHE_TTL_HOURS) || 24 * 7) * 3_600_000;
+const SEARCH_CACHE_TTL_MS = (parseFloat(process.env.BGG_SEARCH_CACHE_TTL_HOURS) || 24) * 3_600_000;
+
+const GAME_DATA_VERSION = 3;
+
+const isStale = (entry, ttl) => Date.now() - entry.fetchedAt.getTime() > ttl;
+
+// Fetch games from BGG in batches, refreshing the cache
+const fetchGames = async (ids) => {
+  const { games, failed } = await bgg.getThings(ids);
+
+  await Promise.all(games.map(game => Game.findOneAndUpdate(
+    { bggId: game.id },
+    { data: game, version: GAME_DATA_VERSION, fetchedAt: new Date() },
+    { upsert: true }
+  )));
+
+  return { games, failed };
+};
+
+// Cached game data, even when stale: the background job refreshes it.
+// Entries parsed by an older version miss fields and count as absent.
+const getCachedGame = async (gameId) => {
+  const cached = await Game.findOne({ bggId: String(gameId), version: GAME_DATA_VERSION });
+  return cached?.data || null;
+};
+
+// Every change to a table is announced here (live updates subscribe to it)
+const tableEvents = new EventEmitter();
+tableEvents.setMaxListeners(0);
+
+const emitTableEvent = (type, table, details = {}) => {
+  tableEvents.emit('change', { type, table, ...details });
+};
+
+// Moves waitlisted players into free seats, first come first served.
+// Each move is a single conditional update so concurrent joins cannot overbook.
+const promoteFromWaitlist = async (tableId) => {
+  const promoted = [];
+  let table = null;
+
+  for (;;) {
+    const updated = await Table.findOneAndUpdate(
+      { _id: tableId, 'waitlist.0': { $exists: true }, $expr: hasFreeSeatExpr },
+      [{
+        $set: {
+          participants: { $concatArrays: ['$participants', [{ $arrayElemAt: ['$waitlist', 0] }]] },
+          waitlist: { $slice: ['$waitlist', 1, { $size: '$waitlist' }] }
+        }
+      }],
+      { new: true }
+    );
+    if (!updated) break;
+
+    table = updated;
+    promoted.push(updated.participants[updated.participants.length - 1]);
+  }
+
+  return { table, promoted };
+};
+
+// Explains why a conditional join did not match
+const getJoinError = async (tableId, name, forWaitlist) => {
+  const table = await Table.findById(tableId);
+
+  if (!table) return { status: 404, code: 'TABLE_NOT_FOUND', error: 'Table not found' };
+  if (table.isCancelled) return { status: 400, code: 'TABLE_CANCELLED', error: 'This session has been cancelled' };
+  if (table.archivedAt) return { status: 400, code: 'TABLE_ENDED', error: 'This session has ended' };
+
+  const nameRegex = sameNameRegex(name);
+  if ([...table.participants, ...table.waitlist].some(p => nameRegex.test(p))) {
+    return { status: 409, code: 'DUPLICATE_NAME', error: `Someone called ${name} is already on this table` };
+  }
+
+  return forWaitlist
+    ? { status: 409, code: 'SEATS_AVAILABLE', error: 'There are still free seats, join the session instead' }
+    : { status: 409, code: 'TABLE_FULL', error: 'This session is full' };
+};
+
+// Why a table no longer accepts changes, if it doesn't
+const getClosedError = (table) => {
+  if (table.isCancelled) return 'This session has been cancelled';
+  if (table.archivedAt) return 'This session has ended';
+  return null;
+};
+
+// Looks a table up by its share slug. Legacy ObjectId links keep working for
+// public tables only, so private ones cannot be found by enumerating ids.
+const findTable = async (key) => {
+  const table = await Table.findOne({ slug: key });
+  if (table || !mongoose.isValidObjectId(key)) return table;
+
+  return Table.findOne({ _id: key, isPrivate: { $ne: true } });
+};
+
+const SEARCH_TYPES = ['boardgame', 'boardgameexpansion'];
+
+// Cached game data, or fresh from BGG when it is not cached yet
+const getGame = async (gameId) => (
+  (await getCachedGame(gameId)) || (await fetchGames([gameId])).games[0] || null
+);
+
+// Cached BGG search by lowercase query
+const searchBgg = async (query, type = 'boardgame') => {
+  let cached = null;
+
+  try {
+    cached = await GameSearch.findOne({ query, type });
+    if (cached && !isStale(cached, SEARCH_CACHE_TTL_MS)) return cached.results;
+
+    const simplifiedGames = await bgg.search(query, type);
+
+    await GameSearch.findOneAndUpdate(
+      { query, type },
+      { results: simplifiedGames, fetchedAt: new Date() },
+      { upsert: true }
+    );
+
+    return simplifiedGames;
+  } catch (error) {
+    // Better old results than none while BGG is unavailable
+    if (!cached) throw error;
+
+    console.error(error.message);
+    return cached.results;
+  }
+};
+
+// Search BGG. With type=boardgameexpansion and baseId, only expansions of that game are returned.
 app.get('/api/games', async (req, res) => {
-  const query = req.query.q;
-  if (!query) return res.status(400).json({ error: 'Missing search query' });
-
-  try {
-    const response = await axios.get(`https://boardgamegeek.com/xmlapi2/search?query=${encodeURIComponent(query)}&type=boardgame`);
-    
-    const parser = new xml2js.Parser({ explicitArray: false });
-    parser.parseString(response.data, (err, result) => {
-      if (err) return res.status(500).json({ error: 'Failed to parse XML' });
-      
-      const items = result.items?.item || [];
-      const games = Array.isArray(items) ? items : [items];
-
-      const simplifiedGames = games.map(game => ({
-        id: game.$.id || 'Unknown ID',
-        name: 
-          (typeof game.name === 'object' && game.name?.['$']?.value) || 
-          (Array.isArray(game.name) && game.name[0]?.['$']?.value) ||
-          'Unknown Game',
-        yearPublished: 
-          (typeof game.yearpublished === 'object' && game.yearpublished?.['$']?.value) || 
-          'N/A'
-      }));
-
-      res.json(simplifiedGames);
-    });
+  try {
+    // Repeated parameters (?q=a&q=b) arrive as arrays
+    const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+    const type = SEARCH_TYPES.includes(req.query.type) ? req.query.type : 'boardgame';
+    const baseId = typeof req.query.baseId === 'string' ? req.query.baseId : '';
+    if (!query) return res.status(400).json({ error: 'Missing search query' });
+
+    const filterByBase = async (results) => {
+      if (type !== 'boardgameexpansion' || !baseId) return results;
+
+      const base = await getGame(baseId);
+      return base?.expansionIds ? results.filter(r => base.expansionIds.includes(r.id)) : results;
+    };
+
+    res.json(await filterByBase(await searchBgg(query, type)));
   } catch (error) {
     console.error(error.message);
     res.status(500).json({ error: 'Failed to fetch from BGG' });
   }
 });
 
-// Create Table
-app.post('/api/table', async (req, res) => {
-  const data = req.body;
+// Games a BGG user owns, to pick flexible session games from
+app.get('/api/bgg/collection/:username', async (req, res) => {
+  const username = req.params.username.trim().toLowerCase();
+  let cached = null;
+
+  try {
+    cached = await GameSearch.findOne({ query: username, type: 'collection' });
+    if (cached && !isStale(cached, SEARCH_CACHE_TTL_MS)) return res.json(cached.results);
+
+    const collection = await bgg.getCollection(username);
+
+    await GameSearch.findOneAndUpdate(
+      { query: username, type: 'collection' },
+      { results: collection, fetchedAt: new Date() },
+      { upsert: true }
+    );
+
+    res.json(collection);
+  } catch (err) {
+    if (err.code === 'BGG_USER_NOT_FOUND') {
+      return res.status(404).json({ error: 'BGG user not found', code: err.code });
+    }
+    if (cached) return res.json(cached.results);
+
+    // BGG builds the collection in the background, the client asks again in a few seconds
+    if (err.code === 'BGG_COLLECTION_PENDING') {
+      return res.status(202).json({ error: 'BGG is still preparing this collection', code: err.code });
+    }
+
+    console.error("Failed to fetch BGG collection:", err.message);
+    res.status(502).json({ error: 'Could not reach BGG, please try again in a minute' });
+  }
+});
+
+// Returns an error message when the start is outside the scheduling window
+const getScheduleError = (startsAt) => {
   const oneMonthFromNow = new Date();
   oneMonthFromNow.setDate(oneMonthFromNow.getDate() + 30);
 
-  const tableDate = new Date(data.date);
-  if (tableDate > oneMonthFromNow) {
-    return res.status(400).json({ error: "You cannot schedule games more than 30 days in advance." });
+  if (startsAt > oneMonthFromNow) return "You cannot schedule games more than 30 days in advance.";
+  return null;
+};
+
+// Turns the organizer's date, time and timezone into startsAt. Fields missing
+// from data are taken from the current table. Returns an error message when invalid.
+const applyStartTime = (data, current = {}) => {
+  const timezone = data.timezone || current.timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimeZone(timezone)) return "Please provide a valid timezone.";
+
+  const date = String(data.date || (current.date ? current.date.toISOString() : '')).slice(0, 10);
+  const time = data.time || current.time;
+
+  const startsAt = zonedTimeToUtc(date, time, timezone);
+  if (!startsAt) return "Please provide a valid date and time.";
+
+  const scheduleError = getScheduleError(startsAt);
+  if (scheduleError) return scheduleError;
+
+  Object.assign(data, { date, time, timezone, startsAt });
+  return null;
+};
+
+// Placeholder for a game BGG could not tell us about
+const unenrichedGame = (game) => ({
+  id: game.id,
+  name: game.name,
+  minPlayingTime: 'N/A',
+  maxPlayingTime: 'N/A',
+  complexity: 'N/A',
+  link: `https://boardgamegeek.com/boardgame/${game.id}`,
+  thumbnail: null,
+  image: null,
+  youtubeLink: `https://www.youtube.com/results?search_query=${encodeURIComponent(`${game.name} how to play board game`)}`,
+});
+
+// Looks games up in knownGames, then the cache, then BGG with a single batched request
+const resolveGames = async (games, knownGames = []) => {
+  const resolved = new Map();
+
+  for (const game of games) {
+    const known = knownGames.find(g => g.id && g.id === String(game.id)) || await getCachedGame(game.id);
+    if (known) resolved.set(String(game.id), known);
+  }
+
+  const missing = games.filter(game => !resolved.has(String(game.id)));
+  if (missing.length) {
+    const { games: fetched } = await fetchGames(missing.map(game => game.id));
+    fetched.forEach(game => resolved.set(game.id, game));
   }
 
+  const unenriched = games.filter(game => !resolved.has(String(game.id)));
+
+  return {
+    games: await Promise.all(games.map(async game => {
+      const resolvedGame = resolved.get(String(game.id)) || unenrichedGame(game);
+      if (game.expansions === undefined) return resolvedGame;
+
+      return { ...resolvedGame, expansions: await selectExpansions(game.id, game.expansions) };
+    })),
+    unenriched: unenriched.map(game => ({ id: game.id, name: game.name }))
+  };
+};
+
+// Keeps the requested expansions that BGG links to the base game
+const selectExpansions = async (baseId, requested) => {
+  if (!Array.isArray(requested) || requested.length === 0) return [];
+
+  const base = await getGame(baseId).catch(() => null);
+  const allowedIds = base?.expansionIds;
+
+  return requested
+    .filter(expansion => expansion?.id && (!allowedIds || allowedIds.includes(String(expansion.id))))
+    .map(expansion => ({
+      id: String(expansion.id),
+      name: expansion.name,
+      link: `https://boardgamegeek.com/boardgameexpansion/${expansion.id}`
+    }));
+};
+
+// Resolves the single or flexible game selection of a payload against BGG.
+// Games already present in knownGames are reused instead of fetched again.
+// Returns an error message when the selection is invalid, and the games BGG
+// could not provide details for.
+const applyGameSelection = async (data, knownGames = []) => {
+  // Single-game expansions are stored on gameData
+  const { expansions } = data;
+  delete data.expansions;
+
   if (data.isFlexible) {
     delete data.gameName;
     delete data.gameId;
     delete data.gameData;
 
     if (!Array.isArray(data.flexibleGames) || data.flexibleGames.length < 1) {
-      return res.status(400).json({ error: "Please select at least one game for flexible mode." });
+      return { error: "Please select at least one game for flexible mode.", unenriched: [] };
     }
 
-    try {
-      // Fetch full details for each flexible game
-      const updatedFlexibleGames = [];
-      let delay = 100;
-
-      for (const game of data.flexibleGames) {
-        if (!game.id) continue; // Skip non-BGG games
-
-        try {
-          const response = await axios.get(`https://boardgamegeek.com/xmlapi2/thing?id=${game.id}&stats=1`);
-          const parser = new xml2js.Parser({ explicitArray: false });
-          
-          const result = await new Promise((resolve, reject) => {
-            parser.parseString(response.data, (err, parsedResult) => {
-              if (err) reject(err);
-              resolve(parsedResult);
-            });
-          });
-
-          const bggGame = result.items.item;
-          const gameName = Array.isArray(bggGame.name) ? bggGame.name[0]['$']?.value : (bggGame.name?.['$']?.value || 'N/A');
-
-          updatedFlexibleGames.push({
-            id: bggGame.$.id,
-            name: gameName,
-            minPlayingTime: bggGame.minplaytime?.['$']?.value || bggGame.minplaytime || 'N/A',
-            maxPlayingTime: bggGame.maxplaytime?.['$']?.value || bggGame.maxplaytime || 'N/A',
-            complexity: bggGame.statistics?.ratings?.averageweight?.['$']?.value 
-              ? parseFloat(bggGame.statistics.ratings.averageweight['$'].value).toFixed(2)
-              : 'N/A',
-            link: `https://boardgamegeek.com/boardgame/${bggGame.$.id}`,
-            thumbnail: bggGame.thumbnail || null,
-            image: bggGame.image || null,
-            youtubeLink: `https://www.youtube.com/results?search_query=${encodeURIComponent(`${game.name} how to play board game`)}`,
-          });
-
-          await sleep(delay);          
-        } catch (err) {
-          console.log("Could not fetch full game data from BGG:", err.message);
-          updatedFlexibleGames.push({
-            id: game.id,
-            name: game.name,
-            minPlayingTime: 'N/A',
-            maxPlayingTime: 'N/A',
-            complexity: 'N/A',
-            link: `https://boardgamegeek.com/boardgame/${game.id}`,
-            thumbnail: null,
-            image: null,
-            youtubeLink: `https://www.youtube.com/results?search_query=${encodeURIComponent(`${game.name} how to play board game`)}`,
-          });
-        }        
-      }
+    // Fetch full details for each flexible game, skipping non-BGG games
+    const { games, unenriched } = await resolveGames(data.flexibleGames.filter(game => game.id), knownGames);
+    data.flexibleGames = games;
 
-      data.flexibleGames = updatedFlexibleGames;
+    return { error: null, unenriched };
+  }
 
-    } catch (err) {
-      console.error("Error fetching full game data for flexible games:", err.message);
-      return res.status(500).json({ error: "Failed to fetch game details for flexible session" });
-    }
-  } else {
-    delete data.flexibleGames;
-
-    // Single game logic remains unchanged
-    if (data.gameId) {
-      try {
-        const response = await axios.get(`https://boardgamegeek.com/xmlapi2/thing?id=${data.gameId}&stats=1`);
-        const parser = new xml2js.Parser({ explicitArray: false });
-        
-        parser.parseString(response.data, (err, result) => {
-          if (err) return res.status(500).json({ error: "Failed to parse BGG data" });
-
-          const game = result.items.item;
-          const gameName = Array.isArray(game.name) ? game.name[0]['$']?.value : (game.name?.['$']?.value || 'N/A');
-
-          data.gameData = {
-            id: game.$.id,
-            name: gameName,
-            minPlayingTime: game.minplaytime?.['$']?.value || game.minplaytime || 'N/A',
-            maxPlayingTime: game.maxplaytime?.['$']?.value || game.maxplaytime || 'N/A',
-            complexity: game.statistics?.ratings?.averageweight?.['$']?.value 
-              ? parseFloat(game.statistics.ratings.averageweight['$'].value).toFixed(2)
-              : 'N/A',
-             link: `https://boardgamegeek.com/boardgame/${game.$.id}`,
-            thumbnail: game.thumbnail || null,
-            image: game.image || null,
-            youtubeLink: `https://www.youtube.com/results?search_query=${encodeURIComponent(`${data.gameName} how to play board game`)}`,
-          };
-        });
-      } catch (err) {
-        console.warn("Could not fetch full game data from BGG:", err.message);
-      }
-    }
-  }  
+  delete data.flexibleGames;
+  delete data.gameData;
 
-  const newTable = new Table(data);
-  await newTable.save();
-  res.json({ id: newTable._id });
-});
+  if (!data.gameId) return { error: null, unenriched: [] };
 
-// Get Table
-app.get('/api/table/:id', async (req, res) => {
-  const table = await Table.findById(req.params.id);
-  if (!table) return res.status(404).json({ error: 'Table not found' });
-  res.json(table);
-});
+  const { games, unenriched } = await resolveGames([{ id: data.gameId, name: data.gameName, expansions }], knownGames);
+  if (!unenriched.length) data.gameData = games[0];
 
-// Join Table
-app.post('/api/table/:id/join', async (req, res) => {
-  const { name } = req.body;
-  const table = await Table.findById(req.params.id);
-  if (!table) return res.status(404).json({ error: 'Table not found' });
+  return { error: null, unenriched };
+};
 
-  if (table.participants.length < table.playersNeeded && name) {
-    table.participants.push(name);
-    await table.save();
-    res.json(table);
-  } else {
-    res.status(400).json({ error: 'Table full or missing name' });
+// Warns when the session has more or fewer seats than its games support
+const getPlayerCountWarnings = (data) => {
+  const games = data.isFlexible ? data.flexibleGames : [data.gameData].filter(Boolean);
+  const playersNeeded = parseInt(data.playersNeeded);
+
+  return games
+    .filter(game => game.minPlayers && game.maxPlayers)
+    .filter(game => playersNeeded < game.minPlayers || playersNeeded > game.maxPlayers)
+    .map(game => `${game.name} supports ${game.minPlayers === game.maxPlayers ? game.minPlayers : `${game.minPlayers}–${game.maxPlayers}`} players, but this session has ${playersNeeded} seats.`);
+};
+
+const isString = (value) => typeof value === 'string';
+const isBoolean = (value) => typeof value === 'boolean';
+const isStringOrNumber = (value) => typeof value === 'string' || typeof value === 'number';
+const isObject = (value) => typeof value === 'object' && !Array.isArray(value);
+
+// Games and expansions as { id, name }, the id left out for games without a BGG entry
+const isGameList = (value) => Array.isArray(value) && value.every(game => (
+  game && isObject(game) && (game.id == null || isStringOrNumber(game.id)) && (game.name == null || isString(game.name))
+));
+
+// Fields clients may set when creating a session or series, with the type each
+// must have. Everything else (slug, series, archive, waitlist, votes, ...) is
+// only ever set by the server.
+const CREATE_FIELDS = {
+  date: isString,
+  time: isString,
+  timezone: isString,
+  location: isString,
+  playersNeeded: isStringOrNumber,
+  isPrivate: isBoolean,
+  organizerJoins: isBoolean,
+  organizerEmail: isString,
+  isFlexible: isBoolean,
+  gameName: isString,
+  gameId: isStringOrNumber,
+  expansions: isGameList,
+  flexibleGames: isGameList,
+  rule: isObject
+};
+
+// Returns the known fields of a create payload, or the error message when one has the wrong type
+const pickCreateFields = (body) => {
+  if (!body || !isObject(body)) return { error: 'Invalid request body' };
+
+  const data = {};
+  for (const [field, isValid] of Object.entries(CREATE_FIELDS)) {
+    if (body[field] == null) continue;
+    if (!isValid(body[field])) return { error: `Invalid value for ${field}.` };
+    data[field] = body[field];
   }
-});
 
-app.get('/preview/:id', async (req, res) => {
-  try {
-    const table = await Table.findById(req.params.id);
-    if (!table) return res.status(404).send("Table not found");
+  // The only seat that can be taken on creation is the organizer's
+  const organizerName = Array.isArray(body.participants) && isString(body.participants[0]) ? body.participants[0].trim() : '';
+  data.participants = data.organizerJoins && organizerName ? [organizerName] : [];
 
-    let title, description, imageUrl;
+  return { data };
+};
 
-    if (table.isFlexible && table.flexibleGames?.length > 0) {
-      // Flexible session: show list of games
-      const gameNames = table.flexibleGames.map(g => g.name).join(", ");
-      title = `${formatDate(table.date)} • ${table.time} • ${table.location} by ${table.participants[0] || "Unknown"}`;
-      description = `${gameNames}`;
-      imageUrl = table.flexibleGames[0]?.thumbnail || "https://upload.wikimedia.org/wikipedia/commons/1/14/No_Image_Available.jpg"; 
-    } else {
-      // Single-game session: unchanged
-      const gameName = table.gameData?.name || table.gameName || "Board Game";
-      title = `${gameName} • ${formatDate(table.date)} • ${table.time} • ${table.location} by ${table.participants[0] || "Unknown"}`;
-      description = `Duration: ${getPlayingTime(table.gameData?.minPlayingTime, table.gameData?.maxPlayingTime)} min; Complexity: ${getComplexity(table.gameData?.complexity)}`;
-      imageUrl = table.gameData?.thumbnail || "https://upload.wikimedia.org/wikipedia/commons/1/14/No_Image_Available.jpg"; 
-    }
+// Creates a table from the payload of POST /api/table. Returns the table,
+// or the error message when the payload is invalid.
+const createTable = async (payload) => {
+  const { data, error: fieldError } = pickCreateFields(payload);
+  if (fieldError) return { error: fieldError };
 
-    const canonicalUrl = `https://boardgame-scheduler.netlify.app/?table=${table._id}`;
+  const startError = applyStartTime(data);
+  if (startError) return { error: startError };
 
-    const html = `
-      <!DOCTYPE html>
-      <html>
-        <head>
-          <meta charset="utf-8">
-          <title>${title}</title>
+  const { error: gameError, unenriched } = await applyGameSelection(data);
+  if (gameError) return { error: gameError };
 
-          <!-- Open Graph Tags -->
-          <meta property="og:title" content="${title}">
-          <meta property="og:description" content="${description}">
-          <meta property="og:image" content="${imageUrl}">
-          <meta property="og:url" content="${canonicalUrl}">
-          <meta property="og:type" content="website">
+  const organizerEmail = parseEmail(data.organizerEmail);
+  if (organizerEmail === null) return { error: 'Please provide a valid email address' };
 
-          <!-- Redirect to real app -->
-          <meta http-equiv="refresh" content="0;URL='${canonicalUrl}'" />
-        </head>
-        <body style="background:#f9f9f9;color:#333;font-family:sans-serif;text-align:center;padding:40px;"> 
-          <h1>Board Game Session</h1>
-          <p>Loading...</p>
-        </body>
-      </html>
-    `;
+  data.organizerToken = generateToken();
+  // The organizer token also unlocks the organizer's seat, so they can vote and bring games
+  data.participantSecrets = data.organizerJoins && data.participants?.[0] ? [{ name: data.participants[0], token: data.organizerToken }] : [];
+  data.subscribers = data.organizerJoins && data.participants?.[0] ? buildSubscribers(data.participants[0], organizerEmail) : [];
+  data.isCancelled = false;
 
-    res.send(html);
+  const newTable = new Table(data);
+  await newTable.save();
+  emitTableEvent('created', newTable);
+
+  return { table: newTable, unenriched, warnings: getPlayerCountWarnings(data) };
+};
+
+// Create Table
+app.post('/api/table', async (req, res) => {
+  try {
+    const { error, table, unenriched, warnings } = await createTable(req.body);
+    if (error) return res.status(400).json({ error });
+
+    res.json({
+      id: table.slug,
+      organizerToken: table.organizerToken,
+      unenrichedGames: unenriched,
+      warnings
+    });
   } catch (err) {
-    console.error("Preview error:", err.message);
-    res.status(500).send("Error loading preview");
+    console.error("Error creating table:", err);
+    res.status(500).json({ error: "Failed to create the session" });
   }
 });
 
-app.post('/api/table/:id/remove', async (req, res) => {
-  const { id } = req.params;
-  const { name } = req.body;
-
+// Get Table
+app.get('/api/table/:id', async (req, res) => {
   try {
-    const table = await Table.findById(id);
-
+    const table = await findTable(req.params.id);
     if (!table) return res.status(404).json({ error: 'Table not found' });
+    res.json(table);
+  } catch (err) {
+    console.error("Error loading table:", err);
+    res.status(500).json({ error: "Failed to load the session" });
+  }
+});
 
-    // Remove participant
-    table.participants = table.participants.filter(p => p !== name);
-    await table.save();
+// Calendar export of a single table
+app.get('/api/table/:id/ics', async (req, res) => {
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
 
-    res.json(table);
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="boardgame-session-${table.slug || table._id}.ics"`);
+    res.send(buildCalendar([table]));
   } catch (err) {
-    console.error("Error removing participant:", err);
-    res.status(500).json({ error: "Failed to update table" });
+    console.error("Calendar export error:", err.message);
+    res.status(500).json({ error: "Failed to export calendar" });
   }
 });
 
-app.get('/api/tables', async (req, res) => {
+// Subscribable feed of every session a player has joined.
+// Private tables are left out since anyone can guess a feed URL from a name.
+app.get('/api/calendar/:name.ics', async (req, res) => {
   try {
-    const tables = await Table.find({});
-    res.json(tables);
+    const tables = await Table.find({ participants: req.params.name, isPrivate: { $ne: true } }).sort({ startsAt: 1 });
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.send(buildCalendar(tables, `Board games with ${req.params.name}`));
   } catch (err) {
-    console.error("Failed to fetch tables:", err.message);
-    res.status(500).json({ error: "Could not load sessions" });
+    console.error("Calendar feed error:", err.message);
+    res.status(500).json({ error: "Failed to build calendar feed" });
   }
 });
 
-// Keeps the server awake with a self-ping every minute + random jitter
-function keepAlive() {
-  const intervalInMs = 60_000; // 1 minutes
-  const jitterRange = 5_000;   // ±5 seconds
+// Live updates of a table over Server-Sent Events
+app.get('/api/table/:id/events', async (req, res) => {
+  let table;
+  try {
+    table = await findTable(req.params.id);
+  } catch (err) {
+    console.error("Error loading table for live updates:", err);
+    return res.status(500).json({ error: "Failed to load the session" });
+  }
+  if (!table) return res.status(404).json({ error: 'Table not found' });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('table', { type: 'snapshot', table });
+
+  const onChange = (event) => {
+    if (!event.table._id.equals(table._id)) return;
+    send('table', { ...event, table: event.table.toJSON() });
+  };
+
+  // Comment lines keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 25_000);
+
+  tableEvents.on('change', onChange);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    tableEvents.off('change', onChange);
+  });
+});
+
+// Seats a player. Capacity and duplicate checks happen in the same write as the join.
+// Returns the updated table and the player's token, or the { status, code, error } of the refusal.
+const joinTable = async (table, { name, email, votes }) => {
+  const participantToken = generateToken();
+  const nameRegex = sameNameRegex(name);
+
+  const updated = await Table.findOneAndUpdate(
+    {
+      _id: table._id,
+      isCancelled: { $ne: true },
+      archivedAt: null,
+      participants: { $not: nameRegex },
+      waitlist: { $not: nameRegex },
+      $expr: hasFreeSeatExpr
+    },
+    {
+      $push: {
+        participants: name,
+        participantSecrets: { name, token: participantToken },
+        subscribers: { $each: buildSubscribers(name, email) },
+        votes: { $each: table.isFlexible && Array.isArray(votes) ? buildVotes(table, name, votes) : [] }
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) return getJoinError(table._id, name, false);
+
+  emitTableEvent('joined', updated, { name });
+  return { table: updated, participantToken };
+};
+
+// Join Table
+app.post('/api/table/:id/join', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const { votes } = req.body;
+    const email = parseEmail(req.body.email);
+    if (!name) return res.status(400).json({ error: 'Missing name', code: 'MISSING_NAME' });
+    if (email === null) return res.status(400).json({ error: 'Please provide a valid email address', code: 'INVALID_EMAIL' });
+
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found', code: 'TABLE_NOT_FOUND' });
+
+    const { status, table: updated, participantToken, ...joinError } = await joinTable(table, { name, email, votes });
+    if (!updated) return res.status(status).json(joinError);
+
+    res.json({ ...updated.toJSON(), participantToken });
+  } catch (err) {
+    console.error("Error joining table:", err);
+    res.status(500).json({ error: "Failed to join table" });
+  }
+});
+
+// Join Waitlist
+app.post('/api/table/:id/waitlist', async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const email = parseEmail(req.body.email);
+    if (!name) return res.status(400).json({ error: 'Missing name', code: 'MISSING_NAME' });
+    if (email === null) return res.status(400).json({ error: 'Please provide a valid email address', code: 'INVALID_EMAIL' });
+
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found', code: 'TABLE_NOT_FOUND' });
+
+    const participantToken = generateToken();
+    const nameRegex = sameNameRegex(name);
+
+    const updated = await Table.findOneAndUpdate(
+      {
+        _id: table._id,
+        isCancelled: { $ne: true },
+        archivedAt: null,
+        participants: { $not: nameRegex },
+        waitlist: { $not: nameRegex },
+        $expr: { $not: [hasFreeSeatExpr] }
+      },
+      {
+        $push: {
+          waitlist: name,
+          participantSecrets: { name, token: participantToken },
+          subscribers: { $each: buildSubscribers(name, email) }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const { status, ...joinError } = await getJoinError(table._id, name, true);
+      return res.status(status).json(joinError);
+    }
+
+    emitTableEvent('waitlisted', updated, { name });
+    res.json({ ...updated.toJSON(), participantToken });
+  } catch (err) {
+    console.error("Error joining waitlist:", err);
+    res.status(500).json({ error: "Failed to join waitlist" });
+  }
+});
+
+// Every write to a table bumps updatedAt, so it doubles as the table's version
+const getShareImageVersion = (table) => `${CARD_VERSION}-${table.updatedAt?.getTime() || 0}`;
+
+const getShareImageUrl = (table) => `${API_URL}/preview/${table.slug || table._id}/image.jpg?v=${getShareImageVersion(table)}`;
+
+const getShareCard = (table) => {
+  // gameData is never empty in Mongoose (its expansions array), so the name tells whether BGG data is there
+  const games = table.isFlexible ? table.flexibleGames : [table.gameData].filter(game => game?.name);
+
+  return {
+    kicker: table.isFlexible ? 'Flexible session' : 'Board game session',
+    title: getGamesTitle(table),
+    ...formatDateAndTime(getStartsAt(table), table.timezone),
+    location: table.location,
+    games: games.map(game => ({ name: game.name, image: game.image || game.thumbnail })),
+    seatsTaken: table.participants.length,
+    seatsTotal: table.playersNeeded,
+    status: table.isCancelled ? 'cancelled' : table.archivedAt ? 'ended' : 'open'
+  };
+};
+
+// Share card image for og:image, rendered once per table version
+app.get('/preview/:id/image.jpg', async (req, res) => {
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).send("Table not found");
+
+    const version = getShareImageVersion(table);
+    let cached = await ShareImage.findOne({ tableId: table._id, version });
+
+    if (!cached) {
+      cached = { image: await renderShareCard(getShareCard(table)) };
+
+      // Older versions are never requested again
+      await Promise.all([
+        ShareImage.deleteMany({ tableId: table._id, version: { $ne: version } }),
+        ShareImage.updateOne({ tableId: table._id, version }, { $setOnInsert: { image: cached.image } }, { upsert: true })
+      ]).catch(err => console.error("Could not cache share image:", err.message));
+    }
+
+    // Versioned URLs never change, the bare one follows the table
+    res.set('Cache-Control', req.query.v === version ? 'public, max-age=31536000, immutable' : 'public, max-age=300');
+    res.type('jpg').send(cached.image);
+  } catch (err) {
+    console.error("Share image error:", err.message);
+    res.status(500).send("Error rendering share image");
+  }
+});
+
+// schema.org Event of a table, for search engines and chat apps that read JSON-LD
+const buildEventJsonLd = (table, { title, description, url }) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Event',
+  name: title,
+  description,
+  url,
+  image: getShareImageUrl(table),
+  startDate: getStartsAt(table).toISOString(),
+  eventStatus: table.isCancelled ? 'https://schema.org/EventCancelled' : 'https://schema.org/EventScheduled',
+  eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+  location: { '@type': 'Place', name: table.location, address: table.location },
+  ...(table.participants[0] ? { organizer: { '@type': 'Person', name: table.participants[0] } } : {}),
+  maximumAttendeeCapacity: table.playersNeeded,
+  remainingAttendeeCapacity: Math.max(0, table.playersNeeded - table.participants.length)
+});
+
+// Session details for visitors whose browser does not follow the redirect
+const renderPreviewDetails = (table, when) => {
+  const seatsLeft = table.playersNeeded - table.participants.length;
+  const seats = seatsLeft > 0
+    ? `${table.participants.length} of ${table.playersNeeded} taken, ${seatsLeft} left`
+    : `Full${table.waitlist.length ? `, ${table.waitlist.length} on the waitlist` : ''}`;
+
+  const games = table.isFlexible
+    ? table.flexibleGames
+    : [table.gameData?.name ? table.gameData : { name: table.gameName || 'Board Game' }];
+
+  const gameItems = games.map(game => `
+    <li>
+      <strong>${escapeHtml(withExpansions(game))}</strong>
+      ${game.minPlayingTime ? ` · ${escapeHtml(getPlayingTime(game.minPlayingTime, game.maxPlayingTime))} min` : ''}
+      ${game.complexity ? ` · ${escapeHtml(getComplexity(game.complexity))}` : ''}
+    </li>`).join('');
+
+  const status = getClosedError(table);
+
+  return `
+    ${status ? `<p><strong>${escapeHtml(status)}</strong></p>` : ''}
+    <dl>
+      <dt>When</dt><dd>${escapeHtml(when)}</dd>
+      <dt>Where</dt><dd>${escapeHtml(table.location)}</dd>
+      <dt>Organizer</dt><dd>${escapeHtml(table.participants[0] || 'Unknown')}</dd>
+      <dt>Seats</dt><dd>${escapeHtml(seats)}</dd>
+    </dl>
+    <h2>${table.isFlexible ? 'Games to vote on' : 'Game'}</h2>
+    <ul>${gameItems}</ul>
+  `;
+};
+
+app.get('/preview/:id', async (req, res) => {
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).send("Table not found");
+
+    let title, description;
+    const when = formatInTimeZone(getStartsAt(table), table.timezone);
+
+    if (table.isFlexible && table.flexibleGames?.length > 0) {
+      // Flexible session: show list of games
+      title = `${when} • ${table.location} by ${table.participants[0] || "Unknown"}`;
+      description = table.flexibleGames.map(withExpansions).join(", ");
+    } else {
+      // Single-game session: unchanged
+      const gameName = table.gameData?.name || table.gameName || "Board Game";
+      title = `${gameName} • ${when} • ${table.location} by ${table.participants[0] || "Unknown"}`;
+      description = `${table.gameData?.expansions?.length ? `${withExpansions(table.gameData)}. ` : ''}Duration: ${getPlayingTime(table.gameData?.minPlayingTime, table.gameData?.maxPlayingTime)} min; Complexity: ${getComplexity(table.gameData?.complexity)}`;
+    }
+
+    if (table.isCancelled) {
+      title = `CANCELLED: ${title}`;
+    }
+
+    const canonicalUrl = `https://boardgame-scheduler.netlify.app/?table=${encodeURIComponent(table.slug || table._id)}`;
+    const imageUrl = getShareImageUrl(table);
+    const imageAlt = `${getGamesTitle(table)}, ${when}, ${table.location}`;
+    const jsonLd = buildEventJsonLd(table, { title: getGamesTitle(table), description, url: canonicalUrl });
+
+    // Everything user-provided goes through escapeHtml (or toScriptJson for JSON-LD)
+    const html = `
+      <!DOCTYPE html>
+      <html lang="en">
+        <head>
+          <meta charset="utf-8">
+          <meta name="viewport" content="width=device-width, initial-scale=1">
+          <title>${escapeHtml(title)}</title>
+          <meta name="description" content="${escapeHtml(description)}">
+          <link rel="canonical" href="${escapeHtml(canonicalUrl)}">
+
+          <!-- Open Graph Tags -->
+          <meta property="og:title" content="${escapeHtml(title)}">
+          <meta property="og:description" content="${escapeHtml(description)}">
+          <meta property="og:image" content="${escapeHtml(imageUrl)}">
+          <meta property="og:image:type" content="image/jpeg">
+          <meta property="og:image:width" content="${CARD_WIDTH}">
+          <meta property="og:image:height" content="${CARD_HEIGHT}">
+          <meta property="og:image:alt" content="${escapeHtml(imageAlt)}">
+          <meta property="og:url" content="${escapeHtml(canonicalUrl)}">
+          <meta property="og:type" content="website">
+          <meta property="og:locale" content="en_GB">
+          <meta property="og:site_name" content="Board Game Scheduler">
+
+          <!-- Twitter Card Tags -->
+          <meta name="twitter:card" content="summary_large_image">
+          <meta name="twitter:title" content="${escapeHtml(title)}">
+          <meta name="twitter:description" content="${escapeHtml(description)}">
+          <meta name="twitter:image" content="${escapeHtml(imageUrl)}">
+          <meta name="twitter:image:alt" content="${escapeHtml(imageAlt)}">
+
+          <script type="application/ld+json">${toScriptJson(jsonLd)}</script>
+
+          <!-- Redirect to real app -->
+          <meta http-equiv="refresh" content="0;url=${escapeHtml(canonicalUrl)}">
+        </head>
+        <body style="background:#f9f9f9;color:#333;font-family:sans-serif;max-width:640px;margin:0 auto;padding:40px;">
+          <h1>${escapeHtml(getGamesTitle(table))}</h1>
+          ${renderPreviewDetails(table, when)}
+          <p><a href="${escapeHtml(canonicalUrl)}">Open this session in Board Game Scheduler</a></p>
+        </body>
+      </html>
+    `;
+
+    res.send(html);
+  } catch (err) {
+    console.error("Preview error:", err.message);
+    res.status(500).send("Error loading preview");
+  }
+});
+
+app.post('/api/table/:id/remove', async (req, res) => {
+  const { id } = req.params;
+  const { name, participantToken } = req.body;
+
+  try {
+    const table = await findTable(id);
+
+    if (!table) return res.status(404).json({ error: 'Table not found', code: 'TABLE_NOT_FOUND' });
+    if (table.archivedAt) return res.status(400).json({ error: 'This session has ended', code: 'TABLE_ENDED' });
+    if (typeof name !== 'string') return res.status(400).json({ error: 'Missing name', code: 'MISSING_NAME' });
+
+    // Organizers can remove anyone, everybody else only themselves
+    if (!isOrganizer(req, table) && !isParticipant(table, name, participantToken)) {
+      return res.status(403).json({ error: 'You can only remove yourself from this session', code: 'FORBIDDEN' });
+    }
+
+    // Remove participant (or waitlisted player) and hand the seat over
+    let updated = await Table.findOneAndUpdate(
+      { _id: table._id, $or: [{ participants: name }, { waitlist: name }] },
+      {
+        $pull: {
+          participants: name,
+          waitlist: name,
+          participantSecrets: { name },
+          subscribers: { name },
+          votes: { voter: name }
+        }
+      },
+      { new: true }
+    );
+    if (!updated) return res.status(404).json({ error: 'This player is not part of the session', code: 'PLAYER_NOT_FOUND' });
+
+    // Games they were bringing are up for grabs again
+    await Table.updateOne(
+      { _id: table._id },
+      { $unset: { 'flexibleGames.$[game].broughtBy': '' } },
+      { arrayFilters: [{ 'game.broughtBy': name }] }
+    );
+    await Table.updateOne({ _id: table._id, 'gameData.broughtBy': name }, { $unset: { 'gameData.broughtBy': '' } });
+
+    const promotion = await promoteFromWaitlist(table._id);
+    updated = promotion.table || updated;
+    emitTableEvent('left', updated, { name, promoted: promotion.promoted });
+
+    res.json(updated);
+  } catch (err) {
+    console.error("Error removing participant:", err);
+    res.status(500).json({ error: "Failed to update table" });
+  }
+});
+
+// Identifies the game selection of a table, to tell whether an edit changed it
+const getGameKey = (table) => (table.isFlexible
+  ? `flexible:${table.flexibleGames.map(g => g.id || g.name).join(',')}`
+  : `${table.gameId || table.gameName}:${(table.gameData?.expansions || []).map(e => e.id).join(',')}`);
+
+// Update Table (organizer only)
+app.patch('/api/table/:id', async (req, res) => {
+  const data = req.body;
+
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
+    if (!isOrganizer(req, table)) return res.status(403).json({ error: 'Only the organizer can edit this session' });
+    const closedError = getClosedError(table);
+    if (closedError) return res.status(400).json({ error: closedError });
+
+    // What subscribers are told has changed
+    const changed = [];
+    const gamesBefore = getGameKey(table);
+
+    if (data.date || data.time || data.timezone) {
+      const start = { date: data.date, time: data.time, timezone: data.timezone };
+      const startError = applyStartTime(start, table);
+      if (startError) return res.status(400).json({ error: startError });
+      if (start.startsAt.getTime() !== getStartsAt(table).getTime()) {
+        changed.push('date and time');
+        table.reminderSentAt = null;
+      }
+      Object.assign(table, start);
+    }
+
+    if (data.location) {
+      if (data.location !== table.location) changed.push('location');
+      table.location = data.location;
+    }
+
+    const playersNeeded = data.playersNeeded !== undefined ? parseInt(data.playersNeeded) : null;
+    const seatsError = 'Max players cannot be lower than the number of participants';
+    if (playersNeeded !== null && (!playersNeeded || playersNeeded < table.participants.length)) {
+      return res.status(400).json({ error: seatsError });
+    }
+
+    const gameChanged = ['isFlexible', 'gameName', 'gameId', 'flexibleGames', 'expansions'].some(field => data[field] !== undefined);
+    if (gameChanged) {
+      const selection = {
+        isFlexible: data.isFlexible ?? table.isFlexible,
+        gameName: data.gameName ?? table.gameName,
+        gameId: data.gameId !== undefined ? data.gameId : table.gameId,
+        expansions: data.expansions,
+        flexibleGames: data.flexibleGames ?? table.flexibleGames.map(g => g.toObject())
+      };
+
+      const knownGames = [...table.flexibleGames.map(g => g.toObject()), table.gameData?.id && table.gameData.toObject()].filter(Boolean);
+      const { error: gameError } = await applyGameSelection(selection, knownGames);
+      if (gameError) return res.status(400).json({ error: gameError });
+
+      table.isFlexible = !!selection.isFlexible;
+      table.gameName = selection.gameName;
+      table.gameId = selection.gameId;
+      table.gameData = selection.gameData;
+      table.flexibleGames = selection.flexibleGames || [];
+      if (getGameKey(table) !== gamesBefore) changed.push('games');
+    }
+
+    // Only if nobody joined since the check above, so the table never ends up over capacity
+    if (playersNeeded !== null) {
+      const resized = await Table.findOneAndUpdate(
+        { _id: table._id, $expr: { $lte: [{ $size: '$participants' }, playersNeeded] } },
+        { $set: { playersNeeded } }
+      );
+      if (!resized) return res.status(409).json({ error: seatsError });
+    }
+
+    await table.save();
+
+    // Votes for games that are gone. Pulled in their own update so votes cast meanwhile are kept.
+    if (gameChanged) {
+      await Table.updateOne(
+        { _id: table._id },
+        { $pull: { votes: { gameId: { $nin: table.flexibleGames.map(g => g.id) } } } }
+      );
+    }
+
+    // Raising the number of seats lets waitlisted players in
+    const { table: promotedTable, promoted } = await promoteFromWaitlist(table._id);
+    const updated = promotedTable || await Table.findById(table._id);
+    emitTableEvent('edited', updated, { promoted, changed });
+    res.json(updated);
+  } catch (err) {
+    console.error("Error updating table:", err);
+    res.status(500).json({ error: "Failed to update table" });
+  }
+});
+
+// Vote on flexible games (participants only)
+app.post('/api/table/:id/vote', async (req, res) => {
+  const { name, participantToken, gameIds } = req.body;
+
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
+    const closedError = getClosedError(table);
+    if (closedError) return res.status(400).json({ error: closedError });
+    if (!table.isFlexible) return res.status(400).json({ error: 'Only flexible sessions can be voted on' });
+    if (!Array.isArray(gameIds)) return res.status(400).json({ error: 'Missing games to vote for' });
+
+    if (!table.participants.includes(name) || !isParticipant(table, name, participantToken)) {
+      return res.status(403).json({ error: 'Only participants can vote' });
+    }
+
+    const updated = await Table.findOneAndUpdate(
+      { _id: table._id, isCancelled: { $ne: true }, archivedAt: null, isFlexible: true, participants: name },
+      setVotesUpdate(table, name, gameIds),
+      { new: true }
+    );
+    if (!updated) return res.status(409).json({ error: 'Your votes could not be saved, please reload the session' });
+
+    emitTableEvent('voted', updated, { name });
+    res.json(updated);
+  } catch (err) {
+    console.error("Error voting:", err);
+    res.status(500).json({ error: "Failed to save votes" });
+  }
+});
+
+// Add a game a participant will bring to a flexible session
+app.post('/api/table/:id/games', async (req, res) => {
+  const { name, participantToken, game } = req.body;
+
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
+    const closedError = getClosedError(table);
+    if (closedError) return res.status(400).json({ error: closedError });
+    if (!table.isFlexible) return res.status(400).json({ error: 'Games can only be added to flexible sessions' });
+    if (!game?.id) return res.status(400).json({ error: 'Please pick a game from BoardGameGeek' });
+
+    if (!table.participants.includes(name) || !isParticipant(table, name, participantToken)) {
+      return res.status(403).json({ error: 'Only participants can add games' });
+    }
+
+    if (table.flexibleGames.some(g => g.id === String(game.id))) {
+      return res.status(409).json({ error: 'This game is already on the list, offer to bring it instead' });
+    }
+
+    const { games } = await resolveGames([{ id: game.id, name: game.name }]);
+    table.flexibleGames.push({ ...games[0], broughtBy: name });
+
+    await table.save();
+    emitTableEvent('edited', table);
+    res.json(table);
+  } catch (err) {
+    console.error("Error adding game:", err);
+    res.status(500).json({ error: "Failed to add the game" });
+  }
+});
+
+// Offer (POST) or stop offering (DELETE) to bring a game of the session
+const setBroughtBy = (bringing) => async (req, res) => {
+  const { name, participantToken } = req.body;
+
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
+    const closedError = getClosedError(table);
+    if (closedError) return res.status(400).json({ error: closedError });
+
+    if (!table.participants.includes(name) || !isParticipant(table, name, participantToken)) {
+      return res.status(403).json({ error: 'Only participants can bring games' });
+    }
+
+    const game = table.isFlexible
+      ? table.flexibleGames.find(g => g.id === req.params.gameId)
+      : table.gameData?.id === req.params.gameId && table.gameData;
+    if (!game) return res.status(404).json({ error: 'This game is not part of the session' });
+
+    if (bringing) {
+      if (game.broughtBy && game.broughtBy !== name) {
+        return res.status(409).json({ error: `${game.broughtBy} is already bringing this game` });
+      }
+      game.broughtBy = name;
+    } else if (game.broughtBy === name) {
+      game.broughtBy = undefined;
+    }
+
+    await table.save();
+    emitTableEvent('edited', table);
+    res.json(table);
+  } catch (err) {
+    console.error("Error updating who brings a game:", err);
+    res.status(500).json({ error: "Failed to update the game" });
+  }
+};
+
+app.post('/api/table/:id/games/:gameId/bring', setBroughtBy(true));
+app.delete('/api/table/:id/games/:gameId/bring', setBroughtBy(false));
+
+// Lock in one of the flexible games as the session's game (organizer only)
+app.post('/api/table/:id/lock-game', async (req, res) => {
+  const { gameId } = req.body;
+
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
+    if (!isOrganizer(req, table)) return res.status(403).json({ error: 'Only the organizer can pick the game' });
+    const closedError = getClosedError(table);
+    if (closedError) return res.status(400).json({ error: closedError });
+    if (!table.isFlexible) return res.status(400).json({ error: 'The game is already decided for this session' });
+
+    const game = table.flexibleGames.find(g => g.id === String(gameId));
+    if (!game) return res.status(400).json({ error: 'This game is not part of the session' });
+
+    const { _id, ...gameData } = game.toObject();
+    table.gameData = gameData;
+    table.gameName = gameData.name;
+    table.gameId = gameData.id;
+    table.isFlexible = false;
+
+    await table.save();
+    emitTableEvent('edited', table);
+    res.json(table);
+  } catch (err) {
+    console.error("Error locking game:", err);
+    res.status(500).json({ error: "Failed to pick the game" });
+  }
+});
+
+// Cancel Table (organizer only). The document is kept so shared links can say it was cancelled.
+app.delete('/api/table/:id', async (req, res) => {
+  try {
+    const table = await findTable(req.params.id);
+    if (!table) return res.status(404).json({ error: 'Table not found' });
+    if (!isOrganizer(req, table)) return res.status(403).json({ error: 'Only the organizer can cancel this session' });
+    if (table.archivedAt) return res.status(400).json({ error: 'This session has ended' });
+
+    table.isCancelled = true;
+    await table.save();
+    emitTableEvent('cancelled', table);
+    res.json(table);
+  } catch (err) {
+    console.error("Error cancelling table:", err);
+    res.status(500).json({ error: "Failed to cancel table" });
+  }
+});
+
+// Session fields copied from a series to each of its tables
+const getSeriesTemplate = (series) => {
+  const { location, playersNeeded, isPrivate, isFlexible, gameName, gameId, gameData, flexibleGames } = series.toObject();
+  return { location, playersNeeded, isPrivate, isFlexible, gameName, gameId, gameData, flexibleGames: flexibleGames.map(({ _id, ...game }) => game) };
+};
+
+// Creates the sessions of a series that fall within the scheduling window and
+// do not exist yet. Sessions the organizer skipped or edited are left alone.
+const createSeriesTables = async (series) => {
+  if (series.isCancelled) return [];
+
+  const now = new Date();
+  const today = toZonedParts(now, series.timezone).date;
+  const lastDay = toZonedParts(new Date(now.getTime() + 30 * 86_400_000), series.timezone).date;
+  const existingDates = await Table.distinct('seriesDate', { seriesId: series.slug });
+  const created = [];
+
+  for (const date of getOccurrences(series.rule, today, lastDay)) {
+    const startsAt = zonedTimeToUtc(date, series.time, series.timezone);
+    if (existingDates.includes(date) || startsAt <= now || getScheduleError(startsAt)) continue;
+
+    const table = new Table({
+      ...getSeriesTemplate(series),
+      date,
+      time: series.time,
+      timezone: series.timezone,
+      startsAt,
+      seriesId: series.slug,
+      seriesDate: date,
+      participants: series.organizerName ? [series.organizerName] : [],
+      participantSecrets: series.organizerName ? [{ name: series.organizerName, token: series.organizerToken }] : [],
+      subscribers: series.organizerName ? buildSubscribers(series.organizerName, series.organizerEmail) : [],
+      organizerToken: series.organizerToken
+    });
+
+    try {
+      await table.save();
+    } catch (err) {
+      // Another run created this session in the meantime
+      if (err.code === 11000) continue;
+      throw err;
+    }
+
+    emitTableEvent('created', table);
+    created.push(table);
+  }
+
+  return created;
+};
+
+// Create a recurring series and its sessions within the scheduling window
+app.post('/api/series', async (req, res) => {
+  try {
+    const { data, error: fieldError } = pickCreateFields(req.body);
+    if (fieldError) return res.status(400).json({ error: fieldError });
+
+    const startError = applyStartTime(data);
+    if (startError) return res.status(400).json({ error: startError });
+
+    const rule = normalizeRule(data.rule, data.date);
+    if (!rule) return res.status(400).json({ error: 'Please provide a valid repeat rule.' });
+
+    const organizerEmail = parseEmail(data.organizerEmail);
+    if (organizerEmail === null) return res.status(400).json({ error: 'Please provide a valid email address' });
+
+    const { error: gameError, unenriched } = await applyGameSelection(data);
+    if (gameError) return res.status(400).json({ error: gameError });
+
+    const series = new Series({
+      ...data,
+      rule,
+      organizerName: data.organizerJoins ? data.participants?.[0] : null,
+      organizerEmail: organizerEmail || null,
+      organizerToken: generateToken(),
+      isCancelled: false
+    });
+    await series.save();
+
+    const tables = await createSeriesTables(series);
+    if (!tables.length) {
+      await series.deleteOne();
+      return res.status(400).json({ error: 'None of the repeats fall within the next 30 days.' });
+    }
+
+    res.json({
+      id: tables[0].slug,
+      seriesId: series.slug,
+      organizerToken: series.organizerToken,
+      tables: tables.map(table => table.slug),
+      unenrichedGames: unenriched,
+      warnings: getPlayerCountWarnings(data)
+    });
+  } catch (err) {
+    console.error("Error creating series:", err);
+    res.status(500).json({ error: "Failed to create the series" });
+  }
+});
+
+// Get a series with its upcoming sessions
+app.get('/api/series/:id', async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.id });
+    if (!series) return res.status(404).json({ error: 'Series not found' });
+
+    const tables = await Table.find({ seriesId: series.slug, archivedAt: null }).sort({ startsAt: 1 });
+    res.json({ ...series.toJSON(), tables });
+  } catch (err) {
+    console.error("Error loading series:", err);
+    res.status(500).json({ error: "Failed to load the series" });
+  }
+});
+
+// Stop a series (organizer only): no new sessions, and the upcoming ones are cancelled
+app.delete('/api/series/:id', async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.id });
+    if (!series) return res.status(404).json({ error: 'Series not found' });
+    if (!isOrganizer(req, series)) return res.status(403).json({ error: 'Only the organizer can stop this series' });
+
+    series.isCancelled = true;
+    await series.save();
+
+    const tables = await Table.find({
+      seriesId: series.slug,
+      isCancelled: { $ne: true },
+      archivedAt: null,
+      startsAt: { $gt: new Date() }
+    });
+
+    for (const table of tables) {
+      table.isCancelled = true;
+      await table.save();
+      emitTableEvent('cancelled', table);
+    }
+
+    res.json(series);
+  } catch (err) {
+    console.error("Error stopping series:", err);
+    res.status(500).json({ error: "Failed to stop the series" });
+  }
+});
+
+const MAX_TEMPLATE_GAMES = 20;
+
+// Key the organizer's templates are stored under, when it has the shape of one the app generates
+const getOrganizerKey = (req) => {
+  const key = req.get('X-Organizer-Key');
+  return /^[a-f0-9]{32,128}$/.test(key || '') ? key : null;
+};
+
+// List the organizer's templates
+app.get('/api/templates', async (req, res) => {
+  const organizerKey = getOrganizerKey(req);
+  if (!organizerKey) return res.status(401).json({ error: 'Missing organizer key' });
+
+  try {
+    res.json(await Template.find({ organizerKey }).sort({ name: 1 }));
+  } catch (err) {
+    console.error("Error loading templates:", err);
+    res.status(500).json({ error: "Failed to load templates" });
+  }
+});
+
+// Save a template
+app.post('/api/templates', async (req, res) => {
+  const organizerKey = getOrganizerKey(req);
+  if (!organizerKey) return res.status(401).json({ error: 'Missing organizer key' });
+
+  try {
+    const { name, location, playersNeeded, isFlexible, games } = req.body;
+    if (!isString(name) || !name.trim()) return res.status(400).json({ error: 'Please give the template a name' });
+
+    const template = await Template.create({
+      organizerKey,
+      name: name.trim(),
+      location: isString(location) ? location : undefined,
+      playersNeeded: (isStringOrNumber(playersNeeded) && parseInt(playersNeeded)) || undefined,
+      isFlexible: !!isFlexible,
+      games: (isGameList(games) ? games : [])
+        .filter(game => game.name)
+        .slice(0, MAX_TEMPLATE_GAMES)
+        .map(game => ({ id: game.id ? String(game.id) : null, name: game.name }))
+    });
+
+    res.json(template);
+  } catch (err) {
+    console.error("Error saving template:", err);
+    res.status(500).json({ error: "Failed to save the template" });
+  }
+});
+
+// Delete a template
+app.delete('/api/templates/:id', async (req, res) => {
+  const organizerKey = getOrganizerKey(req);
+  if (!organizerKey) return res.status(401).json({ error: 'Missing organizer key' });
+  if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Template not found' });
+
+  try {
+    const { deletedCount } = await Template.deleteOne({ _id: req.params.id, organizerKey });
+    if (!deletedCount) return res.status(404).json({ error: 'Template not found' });
+
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error deleting template:", err);
+    res.status(500).json({ error: "Failed to delete the template" });
+  }
+});
+
+// Looks a webhook up by id and the secret handed out when it was registered
+const findWebhook = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+
+  const webhook = await Webhook.findById(req.params.id);
+  return webhook && tokensMatch(webhook.secret, req.get('X-Webhook-Secret')) ? webhook : null;
+};
+
+// Register a webhook. The secret for checking signatures is only returned here.
+app.post('/api/webhooks', async (req, res) => {
+  const { url, tableId } = req.body;
+  const events = Array.isArray(req.body.events) ? req.body.events.filter(e => WEBHOOK_EVENTS.includes(e)) : WEBHOOK_EVENTS;
+
+  if (!isValidWebhookUrl(url)) return res.status(400).json({ error: 'Please provide an http(s) URL' });
+  if (!events.length) return res.status(400).json({ error: `Pick at least one of: ${WEBHOOK_EVENTS.join(', ')}` });
+
+  try {
+    if (!(await isPublicWebhookUrl(url))) return res.status(400).json({ error: 'The webhook URL must resolve to a public address' });
+
+    let table = null;
+    if (tableId) {
+      table = await findTable(tableId);
+      if (!table) return res.status(404).json({ error: 'Table not found' });
+      if (!isOrganizer(req, table)) return res.status(403).json({ error: 'Only the organizer can add webhooks to this session' });
+    } else if (!process.env.WEBHOOK_ADMIN_KEY || !tokensMatch(process.env.WEBHOOK_ADMIN_KEY, req.get('X-Admin-Key'))) {
+      return res.status(403).json({ error: 'Webhooks for all sessions need the admin key' });
+    }
+
+    const webhook = await Webhook.create({
+      url,
+      events,
+      tableId: table ? table.slug : null,
+      secret: generateToken()
+    });
+
+    res.json({ ...webhook.toJSON(), secret: webhook.secret });
+  } catch (err) {
+    console.error("Error registering webhook:", err);
+    res.status(500).json({ error: "Failed to register the webhook" });
+  }
+});
+
+// A webhook and its last deliveries
+app.get('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    const deliveries = await WebhookDelivery.find({ webhookId: webhook._id })
+      .sort({ createdAt: -1 })
+      .limit(Math.min(100, parseInt(req.query.limit) || 20))
+      .select('-payload');
+
+    res.json({ ...webhook.toJSON(), deliveries });
+  } catch (err) {
+    console.error("Error loading webhook:", err);
+    res.status(500).json({ error: "Failed to load the webhook" });
+  }
+});
+
+// Remove a webhook
+app.delete('/api/webhooks/:id', async (req, res) => {
+  try {
+    const webhook = await findWebhook(req);
+    if (!webhook) return res.status(404).json({ error: 'Webhook not found' });
+
+    await webhook.deleteOne();
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id, status: 'pending' });
+    res.json({ ok: true });
+  } catch (err) {
+    console.error("Error deleting webhook:", err);
+    res.status(500).json({ error: "Failed to delete the webhook" });
+  }
+});
+
+const COMPLEXITY_BANDS = {
+  'Light': [0, 2],
+  'Medium': [2, 3],
+  'Medium-Heavy': [3, 4],
+  'Heavy': [4, 6]
+};
+
+const SORT_FIELDS = {
+  date: 'startsAt',
+  game: '_gameSort',
+  complexity: '_minComplexity',
+  players: '_seatsTaken',
+  status: '_isOpen'
+};
+
+// Numeric value of a stored 'N/A'-able string such as complexity or playtime
+const toNumberExpr = (input) => ({ $convert: { input, to: 'double', onError: null, onNull: null } });
+
+const numbersOf = (field) => ({
+  $filter: {
+    input: { $map: { input: '$_games', as: 'game', in: toNumberExpr(`$$game.${field}`) } },
+    cond: { $ne: ['$$this', null] }
+  }
+});
+
+// Builds the aggregation used by the sessions list from the query string.
+// The archive lists past sessions, newest first, and has no default date range.
+// from/to are whole days in the viewer's timezone (tz), UTC when not given.
+const buildTablesPipeline = (query, { archived = false } = {}) => {
+  const match = { isCancelled: { $ne: true }, isPrivate: { $ne: true }, archivedAt: archived ? { $ne: null } : null };
+
+  const timezone = isValidTimeZone(query.tz) ? query.tz : 'UTC';
+  const startOfDay = (date) => zonedTimeToUtc(date, '00:00', timezone);
+  const today = startOfDay(new Date().toLocaleDateString('en-CA', { timeZone: timezone }));
+
+  const from = query.from ? startOfDay(query.from) : null;
+  const to = query.to ? startOfDay(query.to) : null;
+  match.startsAt = {};
+  if (!archived || from) match.startsAt.$gte = from || today;
+  if (to) match.startsAt.$lt = new Date(to.getTime() + 86_400_000);
+  if (!Object.keys(match.startsAt).length) delete match.startsAt;
+
+  match.$and = [];
+
+  if (query.q) {
+    const regex = new RegExp(escapeRegex(query.q), 'i');
+    match.$and.push({
+      $or: [
+        { location: regex },
+        { gameName: regex },
+        { 'gameData.name': regex },
+        { 'flexibleGames.name': regex }
+      ]
+    });
+  }
+
+  // Any of the session's games has the mechanic / category
+  ['mechanic', 'category'].forEach(param => {
+    if (!query[param]) return;
+
+    const field = param === 'mechanic' ? 'mechanics' : 'categories';
+    const regex = new RegExp(escapeRegex(query[param]), 'i');
+    match.$and.push({
+      $or: [
+        { isFlexible: { $ne: true }, [`gameData.${field}`]: regex },
+        { isFlexible: true, [`flexibleGames.${field}`]: regex }
+      ]
+    });
+  });
+
+  if (!match.$and.length) delete match.$and;
+
+  if (query.location) match.location = new RegExp(escapeRegex(query.location), 'i');
+
+  const derivedMatch = {};
+  if (query.openOnly === 'true') derivedMatch._isOpen = true;
+
+  const band = COMPLEXITY_BANDS[query.complexity];
+  if (band) {
+    // Any overlap between the session's complexity range and the band
+    derivedMatch._minComplexity = { $lt: band[1] };
+    derivedMatch._maxComplexity = { $gte: band[0] };
+  }
+
+  const minTime = parseInt(query.minTime);
+  const maxTime = parseInt(query.maxTime);
+  if (minTime) derivedMatch._minPlayingTime = { $gte: minTime };
+  if (maxTime) derivedMatch._maxPlayingTime = { $lte: maxTime };
+
+  const sortKey = String(query.sort || (archived ? '-date' : 'date'));
+  const sortOrder = sortKey.startsWith('-') ? -1 : 1;
+  const sortField = SORT_FIELDS[sortKey.replace(/^-/, '')] || 'startsAt';
+
+  const page = Math.max(1, parseInt(query.page) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(query.limit) || 20));
+
+  const pipeline = [
+    { $match: match },
+    { $addFields: { _games: { $cond: ['$isFlexible', '$flexibleGames', ['$gameData']] } } },
+    {
+      $addFields: {
+        _complexities: numbersOf('complexity'),
+        _minTimes: numbersOf('minPlayingTime'),
+        _maxTimes: numbersOf('maxPlayingTime'),
+        _seatsTaken: { $size: '$participants' },
+        _gameSort: {
+          $toLower: {
+            $cond: [
+              '$isFlexible',
+              { $ifNull: [{ $arrayElemAt: ['$flexibleGames.name', 0] }, ''] },
+              { $ifNull: ['$gameData.name', { $ifNull: ['$gameName', ''] }] }
+            ]
+          }
+        }
+      }
+    },
+    {
+      $addFields: {
+        _minComplexity: { $min: '$_complexities' },
+        _maxComplexity: { $max: '$_complexities' },
+        _minPlayingTime: { $min: '$_minTimes' },
+        _maxPlayingTime: { $max: '$_maxTimes' },
+        _isOpen: { $lt: ['$_seatsTaken', '$playersNeeded'] }
+      }
+    },
+    { $match: derivedMatch },
+    { $sort: { [sortField]: sortOrder, ...(sortField === 'startsAt' ? {} : { startsAt: 1 }), _id: 1 } },
+    {
+      $facet: {
+        tables: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              _games: 0, _complexities: 0, _minTimes: 0, _maxTimes: 0, _seatsTaken: 0, _gameSort: 0,
+              _minComplexity: 0, _maxComplexity: 0, _minPlayingTime: 0, _maxPlayingTime: 0, _isOpen: 0
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ];
+
+  return { pipeline, page, limit };
+};
+
+// List public tables, filtered, sorted and paginated by the query string
+const listTables = (archived) => async (req, res) => {
+  try {
+    const { pipeline, page, limit } = buildTablesPipeline(req.query, { archived });
+    const [result] = await Table.aggregate(pipeline);
+
+    res.json({
+      tables: result.tables.map(doc => Table.hydrate(doc).toJSON()),
+      total: result.total[0]?.count || 0,
+      page,
+      limit
+    });
+  } catch (err) {
+    console.error("Failed to fetch tables:", err.message);
+    res.status(500).json({ error: "Could not load sessions" });
+  }
+};
+
+app.get('/api/tables', listTables(false));
+app.get('/api/tables/archive', listTables(true));
+
+// Unsubscribe link of the emails. Only the POST unsubscribes (RFC 8058): link scanners and
+// prefetchers follow the GET, so that only shows a confirmation button.
+app.get('/api/unsubscribe/:token', (req, res) => {
+  res.send(`
+    <!DOCTYPE html>
+    <html>
+      <head><meta charset="utf-8"><title>Unsubscribe</title></head>
+      <body style="background:#f9f9f9;color:#333;font-family:sans-serif;text-align:center;padding:40px;">
+        <h1>Stop emails about this session?</h1>
+        <form method="POST" action="/api/unsubscribe/${encodeURIComponent(req.params.token)}">
+          <button type="submit" style="font-size:16px;padding:8px 16px;">Unsubscribe</button>
+        </form>
+      </body>
+    </html>
+  `);
+});
+
+// One-click unsubscribe from a table's emails, also what mail clients send for List-Unsubscribe-Post
+app.post('/api/unsubscribe/:token', async (req, res) => {
+  try {
+    const table = await Table.findOneAndUpdate(
+      { 'subscribers.token': req.params.token },
+      { $pull: { subscribers: { token: req.params.token } } }
+    );
+
+    res.send(`
+      <!DOCTYPE html>
+      <html>
+        <head><meta charset="utf-8"><title>Unsubscribed</title></head>
+        <body style="background:#f9f9f9;color:#333;font-family:sans-serif;text-align:center;padding:40px;">
+          <h1>${table ? 'You are unsubscribed' : 'Already unsubscribed'}</h1>
+          <p>You will no longer get emails about this session.</p>
+        </body>
+      </html>
+    `);
+  } catch (err) {
+    console.error("Unsubscribe error:", err.message);
+    res.status(500).send("Could not unsubscribe, please try again");
+  }
+});
+
+const getGamesTitle = (table) => (table.isFlexible
+  ? table.flexibleGames.map(withExpansions).join(', ')
+  : table.gameData?.name ? withExpansions(table.gameData) : table.gameName || 'Board games');
+
+const getTableEmbed = (table) => discord.buildTableEmbed(table, {
+  title: getGamesTitle(table),
+  url: `https://boardgame-scheduler.netlify.app/?table=${table.slug || table._id}`
+});
+
+// Reply that only the user who ran the command sees
+const ephemeralReply = (content) => ({
+  type: discord.InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+  data: { content, flags: discord.EPHEMERAL }
+});
+
+// /boardgame create. Runs after the interaction was deferred, since the BGG lookup can take
+// longer than the 3 seconds Discord waits for a reply. The organizer link is only shown to the organizer.
+const createFromDiscord = async (interaction, options) => {
+  const name = discord.getDisplayName(interaction);
+
+  try {
+    const query = String(options.game || '').trim().toLowerCase();
+    const results = query ? await searchBgg(query) : [];
+    const game = results.find(result => result.name.toLowerCase() === query) || results[0];
+    if (!game) return discord.editReply(interaction, { content: `No game called "${options.game}" was found on BoardGameGeek.` });
+
+    const { error, table, warnings } = await createTable({
+      gameId: game.id,
+      gameName: game.name,
+      date: options.date,
+      time: options.time,
+      timezone: options.timezone || DEFAULT_TIMEZONE,
+      location: options.location,
+      playersNeeded: options.players,
+      organizerJoins: true,
+      participants: [name]
+    });
+    if (error) return discord.editReply(interaction, { content: error });
+
+    await discord.editReply(interaction, {
+      content: `${name} is organizing a session. Join with \`/boardgame join session:${table.slug}\``,
+      embeds: [getTableEmbed(table)]
+    });
+    await discord.followUp(interaction, {
+      content: [
+        `Manage your session: https://boardgame-scheduler.netlify.app/?table=${table.slug}&admin=${table.organizerToken}`,
+        ...warnings
+      ].join('\n'),
+      flags: discord.EPHEMERAL
+    });
+  } catch (err) {
+    console.error("[Discord] Create failed:", err.message);
+    discord.editReply(interaction, { content: 'Could not create the session, please try again' })
+      .catch(editErr => console.error("[Discord] Could not edit reply:", editErr.message));
+  }
+};
+
+const listForDiscord = async () => {
+  const { pipeline } = buildTablesPipeline({ limit: '5' });
+  const [result] = await Table.aggregate(pipeline);
+  const tables = result.tables.map(doc => Table.hydrate(doc));
+
+  if (!tables.length) return ephemeralReply('There are no upcoming public sessions.');
+
+  return {
+    type: discord.InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { content: 'Upcoming sessions', embeds: tables.map(getTableEmbed) }
+  };
+};
+
+// /boardgame join. The player's token comes as a follow-up only they see, with a link that lets them leave or vote in the app.
+const joinFromDiscord = async (interaction, options) => {
+  const name = discord.getDisplayName(interaction);
+
+  const table = await findTable(discord.parseSessionId(options.session));
+  if (!table) return { reply: ephemeralReply('That session could not be found.') };
+
+  const { table: updated, participantToken, error } = await joinTable(table, { name });
+  if (!updated) return { reply: ephemeralReply(error) };
+
+  const seatUrl = `https://boardgame-scheduler.netlify.app/?table=${updated.slug}&player=${encodeURIComponent(name)}&playerToken=${participantToken}`;
+
+  return {
+    reply: {
+      type: discord.InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `${name} joined the session`, embeds: [getTableEmbed(updated)] }
+    },
+    followUp: {
+      content: `You're in! Keep this link to vote or leave the session: ${seatUrl}`,
+      flags: discord.EPHEMERAL
+    }
+  };
+};
+
+// Discord interactions endpoint for the /boardgame command (set as the application's Interactions Endpoint URL)
+app.post('/api/discord/interactions', async (req, res) => {
+  const isValid = discord.verifyRequest(
+    process.env.DISCORD_PUBLIC_KEY,
+    req.get('X-Signature-Ed25519'),
+    req.get('X-Signature-Timestamp'),
+    req.rawBody
+  );
+  if (!isValid) return res.status(401).json({ error: 'Invalid request signature' });
+
+  const interaction = req.body;
+  if (interaction.type === discord.InteractionType.PING) {
+    return res.json({ type: discord.InteractionResponseType.PONG });
+  }
+  if (interaction.type !== discord.InteractionType.APPLICATION_COMMAND || interaction.data?.name !== discord.BOARDGAME_COMMAND.name) {
+    return res.status(400).json({ error: 'Unsupported interaction' });
+  }
+
+  const { subcommand, options } = discord.getCommandOptions(interaction);
+
+  try {
+    if (subcommand === 'create') {
+      res.json({ type: discord.InteractionResponseType.DEFERRED_CHANNEL_MESSAGE_WITH_SOURCE });
+      return createFromDiscord(interaction, options);
+    }
+    if (subcommand === 'list') return res.json(await listForDiscord());
+    if (subcommand === 'join') {
+      const { reply, followUp } = await joinFromDiscord(interaction, options);
+      res.json(reply);
+
+      if (followUp) {
+        discord.followUp(interaction, followUp)
+          .catch(err => console.error("[Discord] Could not send the seat link:", err.message));
+      }
+      return;
+    }
+
+    res.json(ephemeralReply(`Unknown command: ${subcommand}`));
+  } catch (err) {
+    console.error("[Discord] Interaction failed:", err.message);
+    res.json(ephemeralReply('Something went wrong, please try again'));
+  }
+});
+
+const describeTable = (table) => {
+  return [
+    getGamesTitle(table),
+    formatInTimeZone(getStartsAt(table), table.timezone),
+    table.location,
+    `https://boardgame-scheduler.netlify.app/?table=${table.slug || table._id}`
+  ].join('\n');
+};
+
+// Emails the table's subscribers, or only the ones named
+const notifySubscribers = (table, { names, subject, text }) => Promise.all(
+  table.subscribers
+    .filter(subscriber => !names || names.includes(subscriber.name))
+    .map(subscriber => mailer.send({
+      to: subscriber.email,
+      subject,
+      text: `Hi ${subscriber.name},\n\n${text}`,
+      unsubscribeUrl: `${API_URL}/api/unsubscribe/${subscriber.token}`
+    }).catch(err => console.error(`[Mailer] Could not email a subscriber of ${table.slug}:`, err.message)))
+);
+
+tableEvents.on('change', ({ type, table, promoted = [], changed = [] }) => {
+  if (promoted.length) {
+    notifySubscribers(table, {
+      names: promoted,
+      subject: 'You got a seat!',
+      text: `A seat freed up, so you moved from the waitlist into this session:\n\n${describeTable(table)}`
+    });
+  }
+
+  if (type === 'cancelled') {
+    notifySubscribers(table, {
+      subject: 'Session cancelled',
+      text: `The organizer cancelled this session:\n\n${describeTable(table)}`
+    });
+  }
+
+  if (type === 'edited' && changed.length) {
+    notifySubscribers(table, {
+      subject: 'Session updated',
+      text: `The organizer changed the ${changed.join(' and ')} of this session:\n\n${describeTable(table)}`
+    });
+  }
+});
+
+// Tries a webhook delivery once, scheduling a retry with backoff when it fails
+const attemptDelivery = async (delivery, webhook) => {
+  const result = await postWebhook({
+    url: webhook.url,
+    secret: webhook.secret,
+    deliveryId: String(delivery._id),
+    event: delivery.event,
+    payload: delivery.payload
+  });
+
+  delivery.attempts.push({ at: new Date(), statusCode: result.statusCode, error: result.error });
+
+  if (result.ok) {
+    delivery.status = 'delivered';
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts.length));
+  }
+
+  await delivery.save();
+};
+
+// Queues a delivery for every webhook listening to the event and tries it right away.
+// Private tables only reach webhooks registered on the table itself.
+const dispatchWebhooks = async (event, table, details) => {
+  const webhooks = await Webhook.find({
+    events: event,
+    $or: [{ tableId: table.slug }, ...(table.isPrivate ? [] : [{ tableId: null }])]
+  });
+
+  const payload = { event, sentAt: new Date(), table: table.toJSON(), ...details };
+
+  await Promise.all(webhooks.map(async webhook => {
+    // The retry job leaves it alone until the first attempt had its chance
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook._id,
+      event,
+      payload,
+      nextAttemptAt: new Date(Date.now() + getRetryDelay(1))
+    });
+    await attemptDelivery(delivery, webhook);
+  }));
+};
+
+// Table events as webhook events. "filled" is sent when the last seat is taken.
+tableEvents.on('change', ({ type, table, name, promoted = [] }) => {
+  const events = [];
+  if (['created', 'joined', 'left', 'edited', 'cancelled'].includes(type)) events.push(type);
+  if ((type === 'joined' || promoted.length) && table.participants.length >= table.playersNeeded) events.push('filled');
+
+  events.forEach(event => {
+    dispatchWebhooks(event, table, { name, promoted })
+      .catch(err => console.error(`[Webhooks] Could not dispatch ${event}:`, err.message));
+  });
+});
+
+// Keeps the server awake with a self-ping every minute + random jitter
+function keepAlive() {
+  const intervalInMs = 60_000; // 1 minutes
+  const jitterRange = 5_000;   // ±5 seconds
 
   setInterval(async () => {
     try {
@@ -371,6 +2172,182 @@ function keepAlive() {
 
 keepAlive();
 
+// Refreshes cached BGG games that outlived their TTL, a few at a time
+function refreshGameCache() {
+  const intervalInMs = 60 * 60_000; // 1 hour
+  const batchSize = 20;
+
+  setInterval(async () => {
+    try {
+      const staleGames = await Game.find({ fetchedAt: { $lt: new Date(Date.now() - GAME_CACHE_TTL_MS) } })
+        .sort({ fetchedAt: 1 })
+        .limit(batchSize);
+
+      if (!staleGames.length) return;
+
+      const { games, failed } = await fetchGames(staleGames.map(game => game.bggId));
+      console.log(`[GameCache] Refreshed ${games.length} games${failed.length ? `, failed: ${failed.join(', ')}` : ''}`);
+    } catch (err) {
+      console.error("[GameCache] Error:", err.message);
+    }
+  }, intervalInMs);
+}
+
+refreshGameCache();
+
+// Days after it ends before a session is archived. 0 archives it as soon as it is over.
+const archiveAfterDays = parseFloat(process.env.ARCHIVE_AFTER_DAYS);
+const ARCHIVE_AFTER_MS = (isNaN(archiveAfterDays) || archiveAfterDays < 0 ? 1 : archiveAfterDays) * 86_400_000;
+
+// Schedules new sessions of running series as the scheduling window moves on
+function extendSeries() {
+  const intervalInMs = 60 * 60_000; // 1 hour
+
+  setInterval(async () => {
+    try {
+      const runningSeries = await Series.find({ isCancelled: { $ne: true } });
+
+      for (const series of runningSeries) {
+        const tables = await createSeriesTables(series);
+        if (tables.length) console.log(`[Series] Scheduled ${tables.length} sessions of ${series.slug}`);
+      }
+    } catch (err) {
+      console.error("[Series] Error:", err.message);
+    }
+  }, intervalInMs);
+}
+
+extendSeries();
+
+// Emails a reminder to the players of each session starting within a day, once
+function sendReminders() {
+  const intervalInMs = 15 * 60_000; // 15 minutes
+
+  setInterval(async () => {
+    try {
+      const now = new Date();
+
+      for (;;) {
+        // Claiming the reminder first keeps two runs from sending it twice
+        const table = await Table.findOneAndUpdate(
+          {
+            reminderSentAt: null,
+            isCancelled: { $ne: true },
+            archivedAt: null,
+            'subscribers.0': { $exists: true },
+            startsAt: { $gt: now, $lte: new Date(now.getTime() + 86_400_000) }
+          },
+          { $set: { reminderSentAt: now } },
+          { new: true }
+        );
+        if (!table) break;
+
+        const today = toZonedParts(now, table.timezone).date;
+        const when = toZonedParts(table.startsAt, table.timezone).date === today ? 'today' : 'tomorrow';
+
+        await notifySubscribers(table, {
+          names: table.participants,
+          subject: `Reminder: board games ${when}`,
+          text: `See you ${when}!\n\n${describeTable(table)}`
+        });
+      }
+    } catch (err) {
+      console.error("[Reminders] Error:", err.message);
+    }
+  }, intervalInMs);
+}
+
+sendReminders();
+
+// Retries webhook deliveries whose backoff has passed
+function retryWebhooks() {
+  const intervalInMs = 30_000; // 30 seconds
+  const batchSize = 20;
+
+  setInterval(async () => {
+    try {
+      for (let i = 0; i < batchSize; i++) {
+        // Claimed for a while so an overlapping run does not send it too
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+          { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+          { $set: { nextAttemptAt: new Date(Date.now() + 5 * 60_000) } },
+          { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+
+        const webhook = await Webhook.findById(delivery.webhookId);
+        if (!webhook) {
+          await delivery.deleteOne();
+          continue;
+        }
+
+        await attemptDelivery(delivery, webhook);
+      }
+    } catch (err) {
+      console.error("[Webhooks] Error:", err.message);
+    }
+  }, intervalInMs);
+}
+
+retryWebhooks();
+
+// Fills in startsAt for tables created before it existed, reading their
+// date and time in DEFAULT_TIMEZONE
+async function migrateStartTimes() {
+  try {
+    const timezone = { $ifNull: ['$timezone', DEFAULT_TIMEZONE] };
+    const { modifiedCount } = await Table.updateMany({ startsAt: null }, [{
+      $set: {
+        timezone,
+        startsAt: {
+          $dateFromString: {
+            dateString: { $concat: [{ $dateToString: { format: '%Y-%m-%d', date: '$date' } }, 'T', { $ifNull: ['$time', '00:00'] }] },
+            timezone,
+            onError: '$date'
+          }
+        }
+      }
+    }]);
+
+    if (modifiedCount) console.log(`[Migration] Set the start time of ${modifiedCount} sessions`);
+  } catch (err) {
+    console.error("[Migration] Error:", err.message);
+  }
+}
+
+// Archives sessions that are over
+function archivePastTables() {
+  const intervalInMs = 60 * 60_000; // 1 hour
+
+  const archive = async () => {
+    try {
+      const cutoff = new Date(Date.now() - ARCHIVE_AFTER_MS);
+
+      // A session cannot have ended before it started, so only those are checked for their end
+      const started = await Table.find(
+        { archivedAt: null, startsAt: { $lt: cutoff } },
+        { startsAt: 1, date: 1, time: 1, timezone: 1, isFlexible: 1, 'gameData.maxPlayingTime': 1, 'flexibleGames.maxPlayingTime': 1 }
+      );
+      const ended = started.filter(table => getEndsAt(table) < cutoff);
+      if (!ended.length) return;
+
+      const { modifiedCount } = await Table.updateMany(
+        { _id: { $in: ended.map(table => table._id) }, archivedAt: null },
+        { $set: { archivedAt: new Date() } }
+      );
+
+      if (modifiedCount) console.log(`[Archive] Archived ${modifiedCount} sessions`);
+    } catch (err) {
+      console.error("[Archive] Error:", err.message);
+    }
+  };
+
+  archive();
+  setInterval(archive, intervalInMs);
+}
+
+migrateStartTimes().then(archivePastTables);
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
@@ -0,0 +1,84 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { createBggClient } = require('../bgg');
+const { createBggStub } = require('../scripts/bgg-stub');
+
+// The BGG client against scripts/bgg-stub.js, which replays scripts/bgg-fixtures
+
+const startStub = (options) => new Promise(resolve => {
+  const stub = createBggStub(options);
+  stub.listen(0, () => resolve(stub));
+});
+
+const clientFor = (stub, options) => createBggClient({
+  baseUrl: `http://localhost:${stub.address().port}`,
+  retryDelay: 1,
+  ...options
+});
+
+let stub;
+let busyStub;
+
+before(async () => {
+  stub = await startStub();
+  busyStub = await startStub({ busyRequests: 2 });
+});
+
+after(() => {
+  stub.close();
+  busyStub.close();
+});
+
+test('search filters by name and type', async () => {
+  const bgg = clientFor(stub);
+
+  assert.deepStrictEqual((await bgg.search('catan')).map(game => game.id), ['13', '27710']);
+  assert.deepStrictEqual((await bgg.search('catan', 'boardgameexpansion')).map(game => game.id), ['325', '926']);
+});
+
+test('getThings parses game details', async () => {
+  const { games, failed } = await clientFor(stub).getThings(['13']);
+
+  assert.deepStrictEqual(failed, []);
+  assert.strictEqual(games[0].name, 'CATAN');
+  assert.ok(games[0].expansionIds.includes('325'));
+});
+
+test('getThings asks for at most 20 ids per request and reports the ones BGG left out', async () => {
+  const ids = ['13', '230802', ...Array.from({ length: 22 }, (_, i) => String(900000 + i)), '325', '13'];
+  stub.requests.length = 0;
+
+  const { games, failed } = await clientFor(stub).getThings(ids);
+
+  assert.strictEqual(stub.requests.length, 2);
+  stub.requests.forEach(url => {
+    assert.ok(new URL(url, 'http://localhost').searchParams.get('id').split(',').length <= 20);
+  });
+  assert.deepStrictEqual(games.map(game => game.id).sort(), ['13', '230802', '325']);
+  assert.strictEqual(failed.length, 22);
+});
+
+test('requests are retried while BGG answers 202', async () => {
+  busyStub.requests.length = 0;
+
+  const results = await clientFor(busyStub).search('azul');
+
+  assert.deepStrictEqual(results.map(game => game.id), ['230802']);
+  assert.strictEqual(busyStub.requests.length, 3);
+});
+
+test('requests fail once the retries are used up', async () => {
+  await assert.rejects(clientFor(busyStub, { maxRetries: 1 }).search('seafarers'), { status: 202 });
+});
+
+test('getCollection reports a queued collection instead of waiting for it', async () => {
+  await assert.rejects(clientFor(busyStub).getCollection('boardgamer'), { code: 'BGG_COLLECTION_PENDING' });
+  assert.strictEqual(busyStub.requests.filter(url => url.includes('collection')).length, 1);
+});
+
+test('getCollection lists owned games and flags unknown users', async () => {
+  const bgg = clientFor(stub);
+
+  assert.deepStrictEqual((await bgg.getCollection('boardgamer')).map(game => game.name), ['CATAN', 'Azul']);
+  await assert.rejects(bgg.getCollection('nobody-here'), { code: 'BGG_USER_NOT_FOUND' });
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const discord = require('../discord');
+const { generateKeys, buildInteraction, signRequest } = require('../scripts/fake-discord-interaction');
+
+// Signature checks of the interactions endpoint, with requests signed like
+// scripts/fake-discord-interaction.js sends them
+
+const keys = generateKeys();
+const interaction = buildInteraction('join', [{ name: 'session', value: 'abc123' }]);
+
+const verify = ({ body, headers }, { publicKey = keys.publicKey, now } = {}) => discord.verifyRequest(
+  publicKey,
+  headers['X-Signature-Ed25519'],
+  headers['X-Signature-Timestamp'],
+  Buffer.from(body),
+  now
+);
+
+test('accepts a request signed with the application key', () => {
+  assert.strictEqual(verify(signRequest(interaction, keys.privateKey)), true);
+});
+
+test('rejects a request signed with another key', () => {
+  assert.strictEqual(verify(signRequest(interaction, generateKeys().privateKey)), false);
+});
+
+test('rejects a tampered body', () => {
+  const request = signRequest(interaction, keys.privateKey);
+  const body = request.body.replace('abc123', 'xyz789');
+
+  assert.strictEqual(verify({ ...request, body }), false);
+});
+
+test('rejects a tampered timestamp', () => {
+  const request = signRequest(interaction, keys.privateKey);
+  const timestamp = String(Number(request.headers['X-Signature-Timestamp']) + 1);
+
+  assert.strictEqual(verify({ ...request, headers: { ...request.headers, 'X-Signature-Timestamp': timestamp } }), false);
+});
+
+test('rejects replays of a request signed more than 5 minutes ago', () => {
+  const signedAt = Date.now() - 10 * 60_000;
+  const request = signRequest(interaction, keys.privateKey, String(Math.floor(signedAt / 1000)));
+
+  assert.strictEqual(verify(request, { now: signedAt + 60_000 }), true);
+  assert.strictEqual(verify(request), false);
+});
+
+test('rejects requests without a signature or with a malformed key', () => {
+  const request = signRequest(interaction, keys.privateKey);
+
+  assert.strictEqual(verify({ ...request, headers: { ...request.headers, 'X-Signature-Ed25519': undefined } }), false);
+  assert.strictEqual(verify(request, { publicKey: 'not-a-key' }), false);
+});
+
+test('reads the subcommand and its options', () => {
+  assert.deepStrictEqual(discord.getCommandOptions(interaction), { subcommand: 'join', options: { session: 'abc123' } });
+  assert.strictEqual(discord.getDisplayName(interaction), 'Local Tester');
+});
+
+test('takes the session id from links and bare ids', () => {
+  assert.strictEqual(discord.parseSessionId('https://boardgame-scheduler.netlify.app/?table=abc123'), 'abc123');
+  assert.strictEqual(discord.parseSessionId('https://boardgame-scheduler.onrender.com/preview/abc123'), 'abc123');
+  assert.strictEqual(discord.parseSessionId(' abc123 '), 'abc123');
+});
@@ -0,0 +1,124 @@
+// Session start times are stored as a UTC instant plus the organizer's IANA
+// timezone. These helpers convert between that and the organizer's wall clock.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Wall clock fields of an instant in a timezone, as numbers
+const getZonedFields = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(instant);
+
+  return Object.fromEntries(parts.filter(p => p.type !== 'literal').map(p => [p.type, parseInt(p.value)]));
+};
+
+// How far the timezone's wall clock is ahead of UTC at an instant
+const getOffsetMs = (instant, timeZone) => {
+  const f = getZonedFields(instant, timeZone);
+  const wallClock = Date.UTC(f.year, f.month - 1, f.day, f.hour, f.minute, f.second);
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// UTC instant of a "YYYY-MM-DD" date and "HH:MM" time on the timezone's wall clock.
+// Returns null for malformed input.
+const zonedTimeToUtc = (date, time, timeZone) => {
+  const dateMatch = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(date || ''));
+  const timeMatch = /^(\d{1,2}):(\d{2})$/.exec(String(time || '00:00'));
+  if (!dateMatch || !timeMatch) return null;
+
+  const [, year, month, day] = dateMatch.map(Number);
+  const [, hours, minutes] = timeMatch.map(Number);
+  if (hours > 23 || minutes > 59) return null;
+
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Date.UTC rolls e.g. February 31 over into March
+  const check = new Date(wallClock);
+  if (check.getUTCFullYear() !== year || check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) return null;
+
+  // The second pass corrects the offset when a DST change falls in between
+  let utc = wallClock - getOffsetMs(new Date(wallClock), timeZone);
+  utc = wallClock - getOffsetMs(new Date(utc), timeZone);
+
+  return new Date(utc);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// "YYYY-MM-DD" and "HH:MM" of an instant on the timezone's wall clock
+const toZonedParts = (instant, timeZone) => {
+  const f = getZonedFields(instant, timeZone);
+
+  return {
+    date: `${f.year}-${pad(f.month)}-${pad(f.day)}`,
+    time: `${pad(f.hour)}:${pad(f.minute)}`
+  };
+};
+
+// Start of a table, also for tables saved before startsAt existed
+const getStartsAt = (table) => table.startsAt || zonedTimeToUtc(
+  new Date(table.date).toISOString(),
+  table.time,
+  table.timezone || DEFAULT_TIMEZONE
+);
+
+const DEFAULT_DURATION_MINUTES = 180;
+
+// Longest playtime of the session's game(s), in minutes
+const estimateDuration = (table) => {
+  const games = table.isFlexible ? table.flexibleGames : [table.gameData];
+  const playtimes = games.map(g => parseInt(g?.maxPlayingTime)).filter(t => t > 0);
+
+  return playtimes.length ? Math.max(...playtimes) : DEFAULT_DURATION_MINUTES;
+};
+
+// Expected end of a table: its start plus the estimated duration
+const getEndsAt = (table) => new Date(getStartsAt(table).getTime() + estimateDuration(table) * 60_000);
+
+// "Saturday 12 October 2026, 19:00 CEST" in the given timezone
+const formatInTimeZone = (instant, timeZone, locale = 'en-GB') => new Intl.DateTimeFormat(locale, {
+  timeZone,
+  weekday: 'long',
+  day: 'numeric',
+  month: 'long',
+  year: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+}).format(instant);
+
+// { date: "Saturday, 12 October 2026", time: "19:00 CEST" } in the given timezone
+const formatDateAndTime = (instant, timeZone, locale = 'en-GB') => ({
+  date: new Intl.DateTimeFormat(locale, { timeZone, weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }).format(instant),
+  time: new Intl.DateTimeFormat(locale, { timeZone, hour: '2-digit', minute: '2-digit', timeZoneName: 'short' }).format(instant)
+});
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  zonedTimeToUtc,
+  toZonedParts,
+  getStartsAt,
+  estimateDuration,
+  getEndsAt,
+  formatInTimeZone,
+  formatDateAndTime
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+// Outgoing webhooks. Each delivery is a JSON POST signed with the webhook's
+// secret: X-Webhook-Signature is "sha256=" + the hex HMAC-SHA256 of
+// "<X-Webhook-Timestamp>.<raw body>", so receivers can reject replays.
+
+const WEBHOOK_EVENTS = ['created', 'joined', 'left', 'filled', 'edited', 'cancelled'];
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 30_000;
+
+const sign = (secret, timestamp, body) => (
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`
+);
+
+// 30s, 1m, 2m, 4m, 8m between attempts
+const getRetryDelay = (attempt) => BASE_RETRY_DELAY_MS * 2 ** (attempt - 1);
+
+const isValidWebhookUrl = (url) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+// Webhooks must not reach the server's own network: loopback, private, link-local
+// (cloud metadata), shared, multicast and reserved ranges are refused.
+// WEBHOOK_ALLOW_PRIVATE_URLS=true lifts this for local development.
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = (address) => {
+  if (process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true') return false;
+
+  // BlockList also applies the IPv4 ranges to IPv4-mapped IPv6 addresses (::ffff:127.0.0.1)
+  const family = net.isIP(address);
+  return !family || blockedAddresses.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = () => Object.assign(new Error('Webhook URL points to a private address'), { code: 'WEBHOOK_BLOCKED_ADDRESS' });
+
+// dns.lookup that refuses blocked addresses. Used for every connection, so a
+// hostname cannot pass the check on registration and resolve elsewhere later.
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    if (!addresses.length || addresses.some(({ address }) => isBlockedAddress(address))) return callback(blockedError());
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+// Resolves the URL's host. Returns false when it is unknown or any of its addresses is blocked.
+const isPublicWebhookUrl = async (url) => {
+  if (!isValidWebhookUrl(url)) return false;
+
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) return !isBlockedAddress(hostname);
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    return addresses.length > 0 && !addresses.some(({ address }) => isBlockedAddress(address));
+  } catch (err) {
+    return false;
+  }
+};
+
+const httpAgent = new http.Agent({ lookup: publicLookup });
+const httpsAgent = new https.Agent({ lookup: publicLookup });
+
+// What the delivery log shows for a failed request. Raw network errors are not
+// passed on, as they would tell webhook owners about hosts and ports they cannot see.
+const describeError = (err) => {
+  if (err.code === 'WEBHOOK_BLOCKED_ADDRESS' || err.cause?.code === 'WEBHOOK_BLOCKED_ADDRESS') return 'Blocked address';
+  if (err.code === 'ECONNABORTED' || err.code === 'ETIMEDOUT') return 'Timed out';
+  return 'Request failed';
+};
+
+// Posts a payload once. Resolves with the status code, or the error of a failed request.
+const postWebhook = async ({ url, secret, deliveryId, event, payload }, { http: client = axios, timeout = 10_000 } = {}) => {
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    // IP literals skip the lookup, so they are checked here
+    const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) throw blockedError();
+
+    const response = await client.post(url, body, {
+      timeout,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'BoardGameScheduler-Webhooks',
+        'X-Webhook-Event': event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': sign(secret, timestamp, body)
+      }
+    });
+
+    return { ok: response.status >= 200 && response.status < 300, statusCode: response.status };
+  } catch (err) {
+    return { ok: false, error: describeError(err) };
+  }
+};
+
+module.exports = { WEBHOOK_EVENTS, MAX_ATTEMPTS, getRetryDelay, isValidWebhookUrl, isPublicWebhookUrl, postWebhook, sign };
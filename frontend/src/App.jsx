@@ -10,13 +10,45 @@ export default function App() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [organizerName, setOrganizerName] = useState('');
+  const [organizerEmail, setOrganizerEmail] = useState('');
   const [showConfirmModal, setShowConfirmModal] = useState(false);
   const [participantToRemove, setParticipantToRemove] = useState(null);
+  const [tableTokens, setTableTokens] = useState({ organizerToken: null, participants: {} });
+  const [editData, setEditData] = useState(null);
+  const [editSuggestions, setEditSuggestions] = useState([]);
+  const [joinVotes, setJoinVotes] = useState([]);
+  const [bggUsername, setBggUsername] = useState(() => localStorage.getItem('bggUsername') || '');
+  const [shelf, setShelf] = useState([]);
+  const [shelfLoading, setShelfLoading] = useState(false);
+  const [shelfFilters, setShelfFilters] = useState({ players: '', maxTime: '' });
+  const [bringQuery, setBringQuery] = useState('');
+  const [bringSuggestions, setBringSuggestions] = useState([]);
+  const [expansionTarget, setExpansionTarget] = useState(null);
+  const [expansionQuery, setExpansionQuery] = useState('');
+  const [expansionSuggestions, setExpansionSuggestions] = useState([]);
 
   const [upcomingSessions, setUpcomingSessions] = useState([]);
+  const [sessionsError, setSessionsError] = useState('');
   const [searchQuery, setSearchQuery] = useState('');
   const [sortField, setSortField] = useState('date');
   const [sortOrder, setSortOrder] = useState(1);
+  const [sessionFilters, setSessionFilters] = useState({
+    from: '',
+    to: '',
+    location: '',
+    complexity: '',
+    minTime: '',
+    maxTime: '',
+    mechanic: '',
+    category: '',
+    openOnly: false
+  });
+  const [sessionsPage, setSessionsPage] = useState(1);
+  const [sessionsTotal, setSessionsTotal] = useState(0);
+  const [showArchive, setShowArchive] = useState(false);
+  const [currentSeries, setCurrentSeries] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const sessionsPerPage = 20;
 
   const [formData, setFormData] = useState({
     date: '',
@@ -24,11 +56,15 @@ export default function App() {
     location: '',
     gameName: '',
     gameId: null,
+    expansions: [],
     playersNeeded: 4,
     organizerJoins: true,
     isFlexible: false,
     flexibleGames: [],
-    isPrivate: false
+    isPrivate: false,
+    repeat: false,
+    repeatInterval: 1,
+    repeatUntil: ''
   });
 
   const addCustomGame = (name) => {
@@ -67,6 +103,7 @@ export default function App() {
     const newGames = [...formData.flexibleGames];
     newGames.splice(index, 1);
     setFormData({ ...formData, flexibleGames: newGames });
+    setExpansionTarget(null);
   };
 
   const addFlexibleGame = (game) => {
@@ -79,6 +116,7 @@ export default function App() {
         {
           id: game.id,
           name: game.name,
+          expansions: []
         }
       ],
       gameName: '', // Clear input
@@ -87,10 +125,82 @@ export default function App() {
     setGameSuggestions([]); // Hide dropdown
   };
 
+  // Secrets handed out by the backend are kept per table in localStorage
+  const getStoredTokens = (tableId) => {
+    try {
+      const stored = JSON.parse(localStorage.getItem(`tableTokens:${tableId}`));
+      return { organizerToken: null, participants: {}, ...stored };
+    } catch (err) {
+      return { organizerToken: null, participants: {} };
+    }
+  };
+
+  const storeTokens = (tableId, tokens) => {
+    localStorage.setItem(`tableTokens:${tableId}`, JSON.stringify(tokens));
+    if (tableId === currentTableId) setTableTokens(tokens);
+  };
+
+  useEffect(() => {
+    if (!currentTableId) return;
+    setTableTokens(getStoredTokens(currentTableId));
+  }, [currentTableId]);
+
+  // Every session of a series shares the series' organizer token, also the ones it generates later
+  const getSeriesToken = (seriesId) => localStorage.getItem(`seriesToken:${seriesId}`);
+  const storeSeriesToken = (seriesId, token) => localStorage.setItem(`seriesToken:${seriesId}`, token);
+
+  const isOrganizer = !!tableTokens.organizerToken;
+
+  const organizerHeaders = () => (
+    tableTokens.organizerToken ? { 'X-Organizer-Token': tableTokens.organizerToken } : {}
+  );
+
+  // Restore a shared Upcoming Sessions view from ?view=upcoming&q=...&sort=...
+  useEffect(() => {
+    const urlParams = new URLSearchParams(window.location.search);
+    if (urlParams.get('view') !== 'upcoming') return;
+
+    const sort = urlParams.get('sort') || 'date';
+    setSortField(sort.replace(/^-/, ''));
+    setSortOrder(sort.startsWith('-') ? -1 : 1);
+    setSearchQuery(urlParams.get('q') || '');
+    setSessionsPage(parseInt(urlParams.get('page')) || 1);
+    setShowArchive(urlParams.get('archive') === 'true');
+    setSessionFilters({
+      from: urlParams.get('from') || '',
+      to: urlParams.get('to') || '',
+      location: urlParams.get('location') || '',
+      complexity: urlParams.get('complexity') || '',
+      minTime: urlParams.get('minTime') || '',
+      maxTime: urlParams.get('maxTime') || '',
+      mechanic: urlParams.get('mechanic') || '',
+      category: urlParams.get('category') || '',
+      openOnly: urlParams.get('openOnly') === 'true'
+    });
+    setActiveTab('upcoming');
+  }, []);
+
   // Load table if URL has ?table=12345
   useEffect(() => {
     const urlParams = new URLSearchParams(window.location.search);
     const tableId = urlParams.get('table');
+    const adminToken = urlParams.get('admin');
+
+    if (tableId && adminToken) {
+      // Organizer link: remember the token and keep it out of the address bar
+      storeTokens(tableId, { ...getStoredTokens(tableId), organizerToken: adminToken });
+      window.history.replaceState({}, '', `/?table=${tableId}`);
+    }
+
+    const playerName = urlParams.get('player');
+    const playerToken = urlParams.get('playerToken');
+
+    if (tableId && playerName && playerToken) {
+      // Seat link (e.g. sent after joining from Discord): same as having joined in this browser
+      const stored = getStoredTokens(tableId);
+      storeTokens(tableId, { ...stored, participants: { ...stored.participants, [playerName]: playerToken } });
+      window.history.replaceState({}, '', `/?table=${tableId}`);
+    }
 
     if (tableId) {
       setLoading(true);
@@ -100,7 +210,7 @@ export default function App() {
         .then(res => res.json())
         .then((data) => {
           // If we have gameData, use it directly
-          if (data.gameData) {
+          if (data.gameData?.name) {
             setCurrentTable(data);
           } else {
             // Fallback: still show table even without gameData
@@ -121,35 +231,168 @@ export default function App() {
     }
   }, []);
 
-  // Load upcoming sessions only when switching to 'upcoming' tab
+  // Keep the open table in sync with everyone else looking at it
+  useEffect(() => {
+    if (activeTab !== 'join' || !currentTableId) return;
+
+    const events = new EventSource(`https://boardgame-scheduler.onrender.com/api/table/${currentTableId}/events`);
+    events.addEventListener('table', (e) => {
+      const { table } = JSON.parse(e.data);
+      setCurrentTable(table);
+    });
+
+    return () => events.close();
+  }, [activeTab, currentTableId]);
+
+  // Sessions generated from a series link to the other dates of the series
+  useEffect(() => {
+    if (!currentTable?.seriesId) {
+      setCurrentSeries(null);
+      return;
+    }
+
+    fetch(`https://boardgame-scheduler.onrender.com/api/series/${currentTable.seriesId}`)
+      .then(res => (res.ok ? res.json() : null))
+      .then(setCurrentSeries)
+      .catch(err => console.error("Failed to load series:", err));
+  }, [currentTable?.seriesId]);
+
+  // Sessions a series generated later: apply the series' organizer token, which also unlocks the organizer's seat
+  useEffect(() => {
+    const seriesId = currentTable?.seriesId;
+    if (!seriesId) return;
+
+    const stored = getStoredTokens(currentTable.slug);
+    if (stored.organizerToken && !getSeriesToken(seriesId)) storeSeriesToken(seriesId, stored.organizerToken);
+
+    const organizerToken = stored.organizerToken || getSeriesToken(seriesId);
+    if (!organizerToken) return;
+
+    const name = currentSeries?.slug === seriesId ? currentSeries.organizerName : null;
+    const unlocksSeat = !!name && currentTable.participants.includes(name) && !stored.participants[name];
+    if (stored.organizerToken && !unlocksSeat) return;
+
+    storeTokens(currentTable.slug, {
+      ...stored,
+      organizerToken,
+      participants: unlocksSeat ? { ...stored.participants, [name]: organizerToken } : stored.participants
+    });
+  }, [currentTable?.slug, currentTable?.seriesId, currentTable?.participants, currentSeries]);
+
+  // Saved templates are listed on the organize tabs
+  const isOrganizeTab = activeTab.startsWith('organize');
+  useEffect(() => {
+    if (!isOrganizeTab || !localStorage.getItem('organizerKey')) return;
+
+    fetch(`https://boardgame-scheduler.onrender.com/api/templates`, { headers: { 'X-Organizer-Key': getOrganizerKey() } })
+      .then(res => (res.ok ? res.json() : []))
+      .then(setTemplates)
+      .catch(err => console.error("Failed to load templates:", err));
+  }, [isOrganizeTab]);
+
+  // Load upcoming sessions only when on the 'upcoming' tab; filtering, sorting and paging happen on the server
   useEffect(() => {
     if (activeTab !== 'upcoming') return;
 
     const loadUpcomingSessions = async () => {
+      const params = new URLSearchParams({
+        sort: `${sortOrder < 0 ? '-' : ''}${sortField}`,
+        page: sessionsPage
+      });
+      if (searchQuery.trim()) params.set('q', searchQuery.trim());
+      Object.entries(sessionFilters).forEach(([key, value]) => {
+        if (value) params.set(key, value);
+      });
+      if (showArchive) params.set('archive', 'true');
+
+      // Keep the view in the address bar so it can be shared
+      window.history.replaceState({}, '', `/?view=upcoming&${params}`);
+      params.set('limit', sessionsPerPage);
+      params.set('tz', viewerTimezone);
+
       try {
-        const res = await fetch(`https://boardgame-scheduler.onrender.com/api/tables`); 
+        const res = await fetch(`https://boardgame-scheduler.onrender.com/api/tables${showArchive ? '/archive' : ''}?${params}`); 
         const data = await res.json();
 
-        const now = new Date();
-        const filtered = data
-          .filter(t => new Date(t.date) > now)
-          .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-        setUpcomingSessions(filtered);
+        // A bad shared link (e.g. an unknown sort) answers with an error instead of a list
+        setUpcomingSessions(res.ok && Array.isArray(data.tables) ? data.tables : []);
+        setSessionsTotal(res.ok ? data.total || 0 : 0);
+        setSessionsError(res.ok ? '' : data.error || "Could not load the sessions");
       } catch (err) {
         console.error("Failed to load upcoming sessions:", err);
         setUpcomingSessions([]);
+        setSessionsTotal(0);
+        setSessionsError("Could not load the sessions");
       }
     };
 
     loadUpcomingSessions();
-  }, [activeTab]);
+  }, [activeTab, searchQuery, sortField, sortOrder, sessionFilters, sessionsPage, showArchive]);
+
+  // Switch between upcoming and past sessions, newest first for the latter
+  const toggleArchive = () => {
+    setShowArchive(!showArchive);
+    setSortField('date');
+    setSortOrder(showArchive ? 1 : -1);
+    setSessionsPage(1);
+  };
 
-  const formatDate = (dateString) => {
-    const options = { year: 'numeric', month: 'long', day: 'numeric' };
-    const date = new Date(dateString);
-    return new Intl.DateTimeFormat('en-GB', options).format(date);
-  };  
+  const updateSessionFilters = (changes) => {
+    setSessionFilters({ ...sessionFilters, ...changes });
+    setSessionsPage(1);
+  };
+
+  const toggleSort = (field) => {
+    if (sortField === field) {
+      setSortOrder(-sortOrder);
+    } else {
+      setSortField(field);
+      setSortOrder(1);
+    }
+    setSessionsPage(1);
+  };
+
+  const renderSortHeader = (field, label, align = 'text-left') => (
+    <th className={`py-2 px-4 ${align}`}>
+      <button onClick={() => toggleSort(field)} className="uppercase hover:text-green-600">
+        {label}
+        {sortField === field && <span className="ml-1">{sortOrder > 0 ? '▲' : '▼'}</span>}
+      </button>
+    </th>
+  );
+
+  const sessionsPageCount = Math.max(1, Math.ceil(sessionsTotal / sessionsPerPage));
+
+  const viewerTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  // Sessions saved before startsAt existed only have the organizer's date and time
+  const getStartsAt = (table) => new Date(table.startsAt || `${table.date?.slice(0, 10)}T${table.time || '00:00'}Z`);
+
+  const formatStart = (table, timeZone) => new Intl.DateTimeFormat(undefined, {
+    timeZone,
+    weekday: 'short',
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(getStartsAt(table));
+
+  // Start in the viewer's timezone, with the organizer's wall clock alongside when it differs
+  const renderStart = (table) => {
+    const organizerTimezone = table.timezone || 'UTC';
+    const local = formatStart(table, viewerTimezone);
+    const organizers = formatStart(table, organizerTimezone);
+
+    return (
+      <>
+        {local}
+        {organizers !== local && (
+          <span className="text-gray-500"> ({organizers} in {organizerTimezone.replace(/_/g, ' ')})</span>
+        )}
+      </>
+    );
+  };
 
   // Handle input changes
   const handleInputChange = (e) => {
@@ -171,66 +414,154 @@ export default function App() {
     }
 
     setSearchingGame(true);
+    setGameSuggestions(await searchGames(query));
+    setSearchingGame(false);
+  };
+
+  const searchGames = async (query, { type, baseId } = {}) => {
+    const params = new URLSearchParams({ q: query });
+    if (type) params.set('type', type);
+    if (baseId) params.set('baseId', baseId);
 
     try {
-      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/games?q=${encodeURIComponent(query)}`);
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/games?${params}`);
       const data = await res.json();
 
       // Only keep base games
-      const filteredData = data.filter(g => g.id && g.name);
-      setGameSuggestions(filteredData);
+      return data.filter(g => g.id && g.name);
     } catch (err) {
       console.error("Search failed:", err);
-      setGameSuggestions([]);
+      return [];
     }
+  };
 
-    setSearchingGame(false);
+  // Load the organizer's BGG collection ("my shelf")
+  const loadShelf = async () => {
+    const username = bggUsername.trim();
+    if (!username) return;
+
+    localStorage.setItem('bggUsername', username);
+    setShelfLoading(true);
+
+    try {
+      // BGG answers 202 while it builds the collection; ask again every 5 seconds for up to a minute
+      for (let attempt = 1; ; attempt++) {
+        const res = await fetch(`https://boardgame-scheduler.onrender.com/api/bgg/collection/${encodeURIComponent(username)}`);
+        const data = await res.json();
+
+        if (res.status === 202 && attempt < 12) {
+          await new Promise(resolve => setTimeout(resolve, 5000));
+          continue;
+        }
+
+        if (res.status === 202) {
+          alert("BGG is still preparing your collection, please try again in a minute");
+        } else if (!res.ok) {
+          alert(data.error || "Could not load your BGG collection");
+          setShelf([]);
+        } else {
+          setShelf(data);
+        }
+        break;
+      }
+    } catch (err) {
+      console.error("Failed to load collection:", err);
+      alert("Could not load your BGG collection");
+    }
+
+    setShelfLoading(false);
   };
 
+  const filteredShelf = shelf.filter(game => {
+    const players = parseInt(shelfFilters.players);
+    const maxTime = parseInt(shelfFilters.maxTime);
+
+    if (players && ((game.minPlayers && players < game.minPlayers) || (game.maxPlayers && players > game.maxPlayers))) return false;
+    if (maxTime && game.maxPlayingTime && game.maxPlayingTime > maxTime) return false;
+    return true;
+  });
+
   // Select a game from suggestions
   const selectGame = (game) => {
     setFormData({
       ...formData,
       gameName: game.name,
-      gameId: game.id
+      gameId: game.id,
+      expansions: []
     });
     setGameSuggestions([]);
   };
 
-  const filteredSessions = upcomingSessions.filter(s => {
-    const gameName = s.isFlexible 
-      ? s.flexibleGames.map(g => g.name).join(', ')
-      : s.gameData?.name || s.gameName;
+  // Expansions are picked for the single game ('single') or a flexible game (its index)
+  const getExpansionBase = (target) => (target === 'single'
+    ? { id: formData.gameId, expansions: formData.expansions }
+    : formData.flexibleGames[target]);
 
-    return gameName.toLowerCase().includes(searchQuery.toLowerCase()) ||
-           s.location.toLowerCase().includes(searchQuery.toLowerCase());
-  });
+  const setExpansions = (target, expansions) => {
+    if (target === 'single') {
+      setFormData({ ...formData, expansions });
+    } else {
+      setFormData({
+        ...formData,
+        flexibleGames: formData.flexibleGames.map((g, i) => (i === target ? { ...g, expansions } : g))
+      });
+    }
+  };
 
-  const sortedSessions = [...filteredSessions].sort((a, b) => {
-    let valA, valB;
+  const openExpansionSearch = (target) => {
+    setExpansionTarget(expansionTarget === target ? null : target);
+    setExpansionQuery('');
+    setExpansionSuggestions([]);
+  };
 
-    switch (sortField) {
-      case 'date':
-        valA = new Date(a.date);
-        valB = new Date(b.date);
-        break;
-      case 'gameName':
-        valA = (a.isFlexible ? '' : a.gameName || '').toLowerCase();
-        valB = (b.isFlexible ? '' : b.gameName || '').toLowerCase();
-        break;
-      case 'complexity':
-        valA = parseFloat(a.isFlexible ? getComplexityRange(a.flexibleGames) : a.gameData?.complexity || 0);
-        valB = parseFloat(b.isFlexible ? getComplexityRange(b.flexibleGames) : b.gameData?.complexity || 0);
-        break;
-      default:
-        valA = a[sortField];
-        valB = b[sortField];
+  const handleExpansionSearch = async (e) => {
+    const query = e.target.value;
+    setExpansionQuery(query);
+
+    if (query.length < 3) {
+      setExpansionSuggestions([]);
+      return;
+    }
+
+    const baseId = getExpansionBase(expansionTarget)?.id;
+    setExpansionSuggestions(await searchGames(query, { type: 'boardgameexpansion', baseId }));
+  };
+
+  const addExpansion = (expansion) => {
+    const current = getExpansionBase(expansionTarget)?.expansions || [];
+    if (!current.some(e => e.id === expansion.id)) {
+      setExpansions(expansionTarget, [...current, { id: expansion.id, name: expansion.name }]);
     }
+    setExpansionQuery('');
+    setExpansionSuggestions([]);
+  };
+
+  const removeExpansion = (target, id) => {
+    setExpansions(target, (getExpansionBase(target)?.expansions || []).filter(e => e.id !== id));
+  };
 
-    if (valA < valB) return -sortOrder;
-    if (valA > valB) return sortOrder;
-    return 0;
-  });  
+  const renderExpansionSearch = () => (
+    <div className="relative mt-2">
+      <input
+        type="text"
+        value={expansionQuery}
+        onChange={handleExpansionSearch}
+        placeholder="Search expansions..."
+        className="w-full px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+        autoComplete="off"
+      />
+      {expansionSuggestions.length > 0 && (
+        <ul className="list-group list-group-flush position-absolute w-100 mt-1 max-h-[160px] overflow-auto z-30">
+          {expansionSuggestions.map((suggestion) => (
+            <li key={suggestion.id} className="list-group-item cursor-pointer" onClick={() => addExpansion(suggestion)}>
+              <div className="fw-bold">{suggestion.name}</div>
+              <small className="text-muted">Released: {suggestion.yearPublished}</small>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
 
   // Create new table
   const createTable = async () => {
@@ -247,12 +578,24 @@ export default function App() {
     }
 
     try {
+      const { repeat, repeatInterval, repeatUntil, ...fields } = formData;
       const payload = {
-        ...formData,
+        ...fields,
         participants: formData.organizerJoins ? [organizerName] : [],
-        gameData: undefined
+        organizerEmail: organizerEmail.trim() || undefined,
+        gameData: undefined,
+        timezone: viewerTimezone
       };
 
+      // Repeating sessions are created as a series, on the weekday of the first date
+      if (repeat) {
+        payload.rule = {
+          weekdays: [new Date(`${formData.date}T00:00:00Z`).getUTCDay()],
+          interval: repeatInterval,
+          until: repeatUntil || null
+        };
+      }
+
       if (payload.isFlexible) {
         delete payload.gameName;
         delete payload.gameId;
@@ -260,67 +603,636 @@ export default function App() {
         delete payload.flexibleGames;
       }
 
-      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table`,  {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/${repeat ? 'series' : 'table'}`,  {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
       });
 
       const result = await res.json();
-      const newTableLink = `${window.location.origin}/?table=${result.id}`;
+      if (!res.ok) {
+        alert(result.error || "Could not create the session. Please try again.");
+        return;
+      }
+
+      // Every session of a series shares the series' organizer token, which also unlocks the organizer's seat
+      if (result.seriesId) storeSeriesToken(result.seriesId, result.organizerToken);
+      (result.tables || [result.id]).forEach(tableId => {
+        const stored = getStoredTokens(tableId);
+        storeTokens(tableId, {
+          ...stored,
+          organizerToken: result.organizerToken,
+          participants: formData.organizerJoins
+            ? { ...stored.participants, [organizerName]: result.organizerToken }
+            : stored.participants
+        });
+      });
+
+      if (result.warnings?.length) {
+        alert(result.warnings.join('\n'));
+      }
+
+      if (result.unenrichedGames?.length) {
+        alert(`The session was created, but BoardGameGeek details could not be loaded for: ${result.unenrichedGames.map(g => g.name).join(', ')}.`);
+      }
       window.history.pushState({}, '', `/?table=${result.id}`);
 
-      const tableRes = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${result.id}`); 
-      const tableData = await tableRes.json();
+      const tableRes = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${result.id}`); 
+      const tableData = await tableRes.json();
+
+      setCurrentTable(tableData);
+      setCurrentTableId(result.id);
+      setActiveTab('join');
+    } catch (err) {
+      console.error("Failed to create table:", err);
+      alert("Could not create the session. Please try again.");
+    }
+  };
+
+  // Random key this browser's templates are saved under
+  const getOrganizerKey = () => {
+    let key = localStorage.getItem('organizerKey');
+    if (!key) {
+      key = Array.from(crypto.getRandomValues(new Uint8Array(24)), b => b.toString(16).padStart(2, '0')).join('');
+      localStorage.setItem('organizerKey', key);
+    }
+    return key;
+  };
+
+  // Pre-fill the organize form from an existing session, leaving the date open
+  const createSimilar = (table) => {
+    const toFormGame = ({ id, name, expansions }) => ({ id, name, expansions: expansions || [] });
+
+    resetUrl();
+    setFormData({
+      ...formData,
+      date: '',
+      time: table.time || '',
+      location: table.location || '',
+      playersNeeded: table.playersNeeded,
+      isPrivate: !!table.isPrivate,
+      isFlexible: !!table.isFlexible,
+      gameName: table.isFlexible ? '' : table.gameData?.name || table.gameName || '',
+      gameId: table.isFlexible ? null : table.gameData?.id || table.gameId || null,
+      expansions: table.isFlexible ? [] : table.gameData?.expansions || [],
+      flexibleGames: table.isFlexible ? table.flexibleGames.map(toFormGame) : [],
+      repeat: false
+    });
+    setActiveTab(table.isFlexible ? 'organize-flexible' : 'organize-single');
+  };
+
+  const applyTemplate = (template) => {
+    setFormData({
+      ...formData,
+      location: template.location || formData.location,
+      playersNeeded: template.playersNeeded || formData.playersNeeded,
+      isFlexible: template.isFlexible,
+      gameName: template.isFlexible ? '' : template.games[0]?.name || '',
+      gameId: template.isFlexible ? null : template.games[0]?.id || null,
+      expansions: [],
+      flexibleGames: template.isFlexible ? template.games.map(g => ({ ...g, expansions: [] })) : []
+    });
+    setActiveTab(template.isFlexible ? 'organize-flexible' : 'organize-single');
+  };
+
+  const saveTemplate = async () => {
+    const name = window.prompt("Name this template", formData.location);
+    if (!name?.trim()) return;
+
+    const games = formData.isFlexible
+      ? formData.flexibleGames.filter(g => g.name.trim()).map(({ id, name }) => ({ id, name }))
+      : formData.gameName ? [{ id: formData.gameId, name: formData.gameName }] : [];
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/templates`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Organizer-Key': getOrganizerKey() },
+        body: JSON.stringify({
+          name,
+          location: formData.location,
+          playersNeeded: formData.playersNeeded,
+          isFlexible: formData.isFlexible,
+          games
+        }),
+      });
+
+      const template = await res.json();
+      if (!res.ok) {
+        alert(template.error || "Could not save the template");
+        return;
+      }
+
+      setTemplates([...templates, template].sort((a, b) => a.name.localeCompare(b.name)));
+    } catch (err) {
+      console.error("Failed to save template:", err);
+      alert("Could not save the template");
+    }
+  };
+
+  const deleteTemplate = async (template) => {
+    if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/templates/${template._id}`, {
+        method: 'DELETE',
+        headers: { 'X-Organizer-Key': getOrganizerKey() },
+      });
+
+      if (!res.ok) {
+        const result = await res.json();
+        alert(result.error || "Could not delete the template");
+        return;
+      }
+
+      setTemplates(templates.filter(t => t._id !== template._id));
+    } catch (err) {
+      console.error("Failed to delete template:", err);
+      alert("Could not delete the template");
+    }
+  };
+
+  const renderTemplates = () => (
+    <div className="flex flex-wrap items-center gap-2 text-sm">
+      {templates.length > 0 && <span className="text-gray-600">Templates:</span>}
+      {templates.map(template => (
+        <span key={template._id} className="bg-gray-100 text-gray-800 rounded-full flex items-center">
+          <button
+            type="button"
+            onClick={() => applyTemplate(template)}
+            className="px-3 py-1 hover:text-blue-700"
+            title={[template.location, template.games.map(g => g.name).join(', ')].filter(Boolean).join(' • ')}
+          >
+            {template.name}
+          </button>
+          <button
+            type="button"
+            onClick={() => deleteTemplate(template)}
+            className="pr-3 text-gray-500 hover:text-red-700 font-bold"
+          >
+            &times;
+          </button>
+        </span>
+      ))}
+      <button type="button" onClick={saveTemplate} className="text-blue-600 hover:text-blue-800">
+        Save as template
+      </button>
+    </div>
+  );
+
+  const renderRepeatOptions = () => (
+    <div className="mt-4 space-y-2">
+      <div className="flex items-center">
+        <input
+          id="repeat"
+          type="checkbox"
+          checked={formData.repeat}
+          onChange={(e) => setFormData({ ...formData, repeat: e.target.checked })}
+          className="h-5 w-5 text-blue-600 rounded focus:ring-2 focus:ring-blue-500"
+        />
+        <label htmlFor="repeat" className="ml-2 text-sm text-gray-700">
+          Repeat this session (sessions are created up to 30 days ahead)
+        </label>
+      </div>
+
+      {formData.repeat && (
+        <div className="grid grid-cols-2 gap-3 text-sm ml-7">
+          <label className="flex flex-col text-gray-600">
+            Every
+            <select
+              value={formData.repeatInterval}
+              onChange={(e) => setFormData({ ...formData, repeatInterval: parseInt(e.target.value) })}
+              className="mt-1 px-2 py-1 border border-gray-300 rounded"
+            >
+              <option value={1}>week</option>
+              <option value={2}>2 weeks</option>
+              <option value={3}>3 weeks</option>
+              <option value={4}>4 weeks</option>
+            </select>
+          </label>
+          <label className="flex flex-col text-gray-600">
+            Until (optional)
+            <input
+              type="date"
+              value={formData.repeatUntil}
+              onChange={(e) => setFormData({ ...formData, repeatUntil: e.target.value })}
+              className="mt-1 px-2 py-1 border border-gray-300 rounded"
+            />
+          </label>
+        </div>
+      )}
+    </div>
+  );
+
+  const getJoinErrorMessage = ({ code, error }) => {
+    switch (code) {
+      case 'TABLE_FULL':
+        return "Sorry, someone just took the last seat. You can join the waitlist instead.";
+      case 'DUPLICATE_NAME':
+        return "That name is already taken at this table. Try adding an initial or a nickname.";
+      case 'TABLE_NOT_FOUND':
+        return "This session no longer exists.";
+      case 'TABLE_ENDED':
+        return "This session has ended.";
+      case 'INVALID_EMAIL':
+        return "That email address does not look right. You can also leave it empty.";
+      default:
+        return error || "Could not join the session";
+    }
+  };
+
+  // Join a table
+  const handleJoin = async (e) => {
+    e.preventDefault();
+    const nameInput = document.getElementById('participantName');
+    const emailInput = document.getElementById('participantEmail');
+    const name = nameInput.value.trim();
+    const email = emailInput.value.trim() || undefined;
+
+    if (!name) return;
+
+    // Once the table is full, new players go to the waitlist
+    const isFull = currentTable.participants.length >= currentTable.playersNeeded;
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${currentTableId}/${isFull ? 'waitlist' : 'join'}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, email, votes: isFull ? undefined : joinVotes }),
+      });
+
+      const { participantToken, ...updatedTable } = await res.json();
+      if (!res.ok) {
+        alert(getJoinErrorMessage(updatedTable));
+        return;
+      }
+
+      storeTokens(currentTableId, {
+        ...tableTokens,
+        participants: { ...tableTokens.participants, [name]: participantToken }
+      });
+      setCurrentTable(updatedTable);
+      setJoinVotes([]);
+      nameInput.value = '';
+      emailInput.value = '';
+    } catch (err) {
+      console.error("Join failed:", err);
+      alert("Could not join the session");
+    }
+  };
+
+  // Copy link to clipboard
+  const copyToClipboard = (text) => {
+    navigator.clipboard.writeText(text).then(() => {
+      alert("Link copied!");
+    });
+  };
+
+  // Generate shareable link
+  const getTableLink = (tableId) => {
+    return `https://boardgame-scheduler.onrender.com/preview/${tableId}`;
+  };
+
+  // Share slug, falling back to the ObjectId for sessions created before slugs existed
+  const getTableKey = (table) => table.slug || table._id;
+
+  const getDirectTableLink = (tableId) => {
+    return `https://boardgame-scheduler.netlify.app/?table=${tableId}`;
+  };  
+
+  const getCalendarLink = (tableId) => {
+    return `https://boardgame-scheduler.onrender.com/api/table/${tableId}/ics`;
+  };
+
+  const getCalendarFeedLink = (name) => {
+    return `webcal://boardgame-scheduler.onrender.com/api/calendar/${encodeURIComponent(name)}.ics`;
+  };
+
+  const getOrganizerLink = (tableId) => {
+    return `${getDirectTableLink(tableId)}&admin=${tableTokens.organizerToken}`;
+  };
+
+  const canRemove = (name) => !currentTable?.archivedAt && (isOrganizer || !!tableTokens.participants[name]);
+
+  // Organizer: change the number of seats
+  const updatePlayersNeeded = async (playersNeeded) => {
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...organizerHeaders() },
+        body: JSON.stringify({ playersNeeded }),
+      });
+
+      const updatedTable = await res.json();
+      if (!res.ok) {
+        alert(updatedTable.error || "Could not update the session");
+        return;
+      }
+
+      setCurrentTable(updatedTable);
+    } catch (err) {
+      console.error("Failed to update table:", err);
+      alert("Could not update the session");
+    }
+  };
+
+  // Organizer: edit the session details
+  const startEditing = () => {
+    setEditData({
+      date: currentTable.date?.slice(0, 10) || '',
+      time: currentTable.time || '',
+      location: currentTable.location || '',
+      playersNeeded: currentTable.playersNeeded,
+      isFlexible: currentTable.isFlexible,
+      gameName: currentTable.gameData?.name || currentTable.gameName || '',
+      gameId: currentTable.gameData?.id || currentTable.gameId || null,
+      flexibleGames: (currentTable.flexibleGames || []).map(g => ({ id: g.id, name: g.name })),
+      gameQuery: ''
+    });
+    setEditSuggestions([]);
+  };
+
+  const handleEditGameSearch = async (query) => {
+    if (editData.isFlexible) {
+      setEditData({ ...editData, gameQuery: query });
+    } else {
+      setEditData({ ...editData, gameName: query, gameId: null });
+    }
+
+    if (query.length < 3) {
+      setEditSuggestions([]);
+      return;
+    }
+
+    setEditSuggestions(await searchGames(query));
+  };
+
+  const selectEditGame = (game) => {
+    if (editData.isFlexible) {
+      if (!editData.flexibleGames.some(g => g.id === game.id)) {
+        setEditData({
+          ...editData,
+          gameQuery: '',
+          flexibleGames: [...editData.flexibleGames, { id: game.id, name: game.name }]
+        });
+      }
+    } else {
+      setEditData({ ...editData, gameName: game.name, gameId: game.id });
+    }
+    setEditSuggestions([]);
+  };
+
+  const saveEdit = async () => {
+    const { gameQuery, ...payload } = editData;
+
+    if (!payload.date || !payload.time || !payload.location || payload.playersNeeded < 1) {
+      alert("Please fill in all required fields (*).");
+      return;
+    }
+
+    if (payload.isFlexible) {
+      delete payload.gameName;
+      delete payload.gameId;
+    } else {
+      delete payload.flexibleGames;
+    }
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json', ...organizerHeaders() },
+        body: JSON.stringify(payload),
+      });
+
+      const updatedTable = await res.json();
+      if (!res.ok) {
+        alert(updatedTable.error || "Could not update the session");
+        return;
+      }
+
+      setCurrentTable(updatedTable);
+      setEditData(null);
+    } catch (err) {
+      console.error("Failed to update table:", err);
+      alert("Could not update the session");
+    }
+  };
+
+  // The participant this browser joined as, if any
+  const myName = currentTable?.participants.find(name => tableTokens.participants[name]);
+
+  // Cancelled and archived sessions are read-only
+  const isClosed = !!(currentTable?.isCancelled || currentTable?.archivedAt);
+
+  const getVoteCount = (gameId) => (currentTable.votes || []).filter(v => v.gameId === gameId).length;
+
+  const getTopVoteCount = () => Math.max(0, ...currentTable.flexibleGames.map(g => getVoteCount(g.id)));
+
+  const hasVotedFor = (gameId) => (currentTable.votes || []).some(v => v.voter === myName && v.gameId === gameId);
+
+  const toggleVote = async (gameId) => {
+    const myVotes = (currentTable.votes || []).filter(v => v.voter === myName).map(v => v.gameId);
+    const gameIds = myVotes.includes(gameId)
+      ? myVotes.filter(id => id !== gameId)
+      : [...myVotes, gameId];
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}/vote`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: myName, participantToken: tableTokens.participants[myName], gameIds }),
+      });
+
+      const updatedTable = await res.json();
+      if (!res.ok) {
+        alert(updatedTable.error || "Could not save your vote");
+        return;
+      }
+
+      setCurrentTable(updatedTable);
+    } catch (err) {
+      console.error("Vote failed:", err);
+      alert("Could not save your vote");
+    }
+  };
+
+  // Participants: say who brings which copy
+  const toggleBringing = async (game) => {
+    const bringing = game.broughtBy !== myName;
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}/games/${game.id}/bring`, {
+        method: bringing ? 'POST' : 'DELETE',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: myName, participantToken: tableTokens.participants[myName] }),
+      });
+
+      const updatedTable = await res.json();
+      if (!res.ok) {
+        alert(updatedTable.error || "Could not update the game");
+        return;
+      }
+
+      setCurrentTable(updatedTable);
+    } catch (err) {
+      console.error("Failed to update who brings the game:", err);
+      alert("Could not update the game");
+    }
+  };
+
+  const handleBringSearch = async (query) => {
+    setBringQuery(query);
+
+    if (query.length < 3) {
+      setBringSuggestions([]);
+      return;
+    }
+
+    setBringSuggestions(await searchGames(query));
+  };
+
+  const bringNewGame = async (game) => {
+    setBringQuery('');
+    setBringSuggestions([]);
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}/games`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: myName,
+          participantToken: tableTokens.participants[myName],
+          game: { id: game.id, name: game.name }
+        }),
+      });
+
+      const updatedTable = await res.json();
+      if (!res.ok) {
+        alert(updatedTable.error || "Could not add the game");
+        return;
+      }
+
+      setCurrentTable(updatedTable);
+    } catch (err) {
+      console.error("Failed to add game:", err);
+      alert("Could not add the game");
+    }
+  };
+
+  const renderExpansions = (game) => game.expansions?.length > 0 && (
+    <div className="mt-1 text-sm text-gray-600">
+      <strong>With:</strong>{' '}
+      {game.expansions.map((expansion, idx) => (
+        <span key={expansion.id}>
+          {idx > 0 && ', '}
+          <a href={expansion.link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
+            {expansion.name}
+          </a>
+        </span>
+      ))}
+    </div>
+  );
+
+  const renderGameOwner = (game) => (
+    <div className="mt-2 flex items-center justify-between text-sm">
+      {game.broughtBy ? (
+        <span className="text-green-700">Brought by <strong>{game.broughtBy}</strong></span>
+      ) : (
+        <span className="bg-amber-100 text-amber-800 px-2 py-0.5 rounded">Nobody has this yet</span>
+      )}
+      {myName && !isClosed && (!game.broughtBy || game.broughtBy === myName) && (
+        <button
+          onClick={() => toggleBringing(game)}
+          className="ml-2 text-blue-600 hover:text-blue-800"
+        >
+          {game.broughtBy === myName ? "I won't bring it" : "I'll bring it"}
+        </button>
+      )}
+    </div>
+  );
+
+  // Organizer: turn the chosen flexible game into the session's game
+  const lockGame = async (game) => {
+    if (!window.confirm(`Lock in ${game.name} as the game for this session?`)) return;
+
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}/lock-game`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...organizerHeaders() },
+        body: JSON.stringify({ gameId: game.id }),
+      });
+
+      const updatedTable = await res.json();
+      if (!res.ok) {
+        alert(updatedTable.error || "Could not pick the game");
+        return;
+      }
 
-      setCurrentTable(tableData);
-      setCurrentTableId(result.id);
-      setActiveTab('join');
+      setCurrentTable(updatedTable);
     } catch (err) {
-      console.error("Failed to create table:", err);
-      alert("Could not create the session. Please try again.");
+      console.error("Failed to lock game:", err);
+      alert("Could not pick the game");
     }
   };
 
-  // Join a table
-  const handleJoin = async (e) => {
-    e.preventDefault();
-    const nameInput = document.getElementById('participantName');
-    const name = nameInput.value.trim();
-
-    if (!name) return;
+  // Organizer: cancel the whole session
+  const cancelTable = async () => {
+    const question = currentTable.seriesId
+      ? "Skip this date of the series for everyone? The other dates are not affected."
+      : "Cancel this session for everyone? This cannot be undone.";
+    if (!window.confirm(question)) return;
 
     try {
-      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${currentTableId}/join`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name }),
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}`, {
+        method: 'DELETE',
+        headers: organizerHeaders(),
       });
 
+      if (!res.ok) {
+        const result = await res.json();
+        alert(result.error || "Could not cancel the session");
+        return;
+      }
+
+
       const updatedTable = await res.json();
       setCurrentTable(updatedTable);
-      nameInput.value = '';
+      setEditData(null);
     } catch (err) {
-      console.error("Join failed:", err);
-      alert("Could not join the session");
+      console.error("Failed to cancel table:", err);
+      alert("Could not cancel the session");
     }
   };
 
-  // Copy link to clipboard
-  const copyToClipboard = (text) => {
-    navigator.clipboard.writeText(text).then(() => {
-      alert("Link copied!");
-    });
-  };
+  // Organizer: stop a series, cancelling its upcoming sessions
+  const stopSeries = async () => {
+    if (!window.confirm("Stop this series? All of its upcoming sessions will be cancelled.")) return;
 
-  // Generate shareable link
-  const getTableLink = (tableId) => {
-    return `https://boardgame-scheduler.onrender.com/preview/${tableId}`;
+    try {
+      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/series/${currentTable.seriesId}`, {
+        method: 'DELETE',
+        headers: organizerHeaders(),
+      });
+
+      const result = await res.json();
+      if (!res.ok) {
+        alert(result.error || "Could not stop the series");
+        return;
+      }
+
+      setCurrentSeries(result);
+    } catch (err) {
+      console.error("Failed to stop series:", err);
+      alert("Could not stop the series");
+    }
   };
 
-  const getDirectTableLink = (tableId) => {
-    return `https://boardgame-scheduler.netlify.app/?table=${tableId}`;
-  };  
+  const weekdayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+  const describeSeries = (series) => {
+    const days = series.rule.weekdays.map(day => weekdayNames[day]).join(' and ');
+    const every = series.rule.interval > 1 ? `Every ${series.rule.interval} weeks` : 'Every week';
+    return `${every} on ${days} at ${series.time}${series.rule.until ? ` until ${series.rule.until}` : ''}`;
+  };
 
   const getComplexityCategory = (complexityValue) => {
     if (complexityValue < 2) return 'Light';
@@ -349,6 +1261,24 @@ export default function App() {
     return `${getComplexityCategory(complexityValue)} (${complexityValue})`;
   };
 
+  // "3–4" for a run of player counts, "2, 4" otherwise
+  const getBestPlayers = (game) => {
+    const counts = [...(game?.bestPlayers || [])].sort((a, b) => a - b);
+    if (counts.length === 0) return null;
+
+    const isRun = counts.every((count, idx) => idx === 0 || count === counts[idx - 1] + 1);
+    if (counts.length === 1) return `${counts[0]}`;
+
+    return isRun ? `${counts[0]}–${counts[counts.length - 1]}` : counts.join(', ');
+  };
+
+  const getPlayerCount = (game) => {
+    if (!game?.minPlayers || !game?.maxPlayers) return 'N/A';
+    if (game.minPlayers === game.maxPlayers) return `${game.minPlayers}`;
+
+    return `${game.minPlayers}–${game.maxPlayers}`;
+  };
+
   const getPlayingTime = (minPlayingTime, maxPlayingTime) => {
     if (!minPlayingTime || !maxPlayingTime) return 'N/A';
     if (minPlayingTime === 'N/A' && maxPlayingTime === 'N/A') {
@@ -405,7 +1335,8 @@ export default function App() {
                 ...formData,
                 isFlexible: true,
                 gameName: '',
-                gameId: null
+                gameId: null,
+                expansions: []
               });
             }}
           >
@@ -430,6 +1361,8 @@ export default function App() {
             <h2 className="text-2xl font-semibold mb-6 text-gray-800">Organize Single Game Session</h2>
             
             <div className="space-y-4">
+              {renderTemplates()}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Your Name*</label>
                 <input
@@ -440,6 +1373,13 @@ export default function App() {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
                   required
                 />
+                <input
+                  type="email"
+                  placeholder="Email for reminders and updates (optional)"
+                  value={organizerEmail}
+                  onChange={(e) => setOrganizerEmail(e.target.value)}
+                  className="mt-2 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+                />
               </div>
 
               <div>
@@ -508,6 +1448,34 @@ export default function App() {
                     </ul>                    
                   )}
                 </div>
+
+                {/* Expansions of the selected game */}
+                {formData.gameId && (
+                  <div className="mt-2">
+                    <div className="flex flex-wrap gap-2">
+                      {formData.expansions.map((expansion) => (
+                        <span key={expansion.id} className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm flex items-center">
+                          {expansion.name}
+                          <button
+                            type="button"
+                            onClick={() => removeExpansion('single', expansion.id)}
+                            className="ml-2 text-blue-600 hover:text-blue-900 font-bold"
+                          >
+                            &times;
+                          </button>
+                        </span>
+                      ))}
+                      <button
+                        type="button"
+                        onClick={() => openExpansionSearch('single')}
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                      >
+                        {expansionTarget === 'single' ? 'Done' : '+ Add expansion'}
+                      </button>
+                    </div>
+                    {expansionTarget === 'single' && renderExpansionSearch()}
+                  </div>
+                )}
               </div>
 
               <div>
@@ -550,6 +1518,8 @@ export default function App() {
                 </label>
               </div>              
 
+              {renderRepeatOptions()}
+
               <button
                 onClick={createTable}
                 className="mt-6 w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
@@ -564,6 +1534,8 @@ export default function App() {
             <h2 className="text-2xl font-semibold mb-6 text-gray-800">Organize Flexible Game Session</h2>
 
             <div className="space-y-4">
+              {renderTemplates()}
+
               {/* Organizer Name */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Your Name*</label>
@@ -575,6 +1547,13 @@ export default function App() {
                   className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
                   required
                 />
+                <input
+                  type="email"
+                  placeholder="Email for reminders and updates (optional)"
+                  value={organizerEmail}
+                  onChange={(e) => setOrganizerEmail(e.target.value)}
+                  className="mt-2 w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                />
               </div>
 
               {/* Date */}
@@ -657,6 +1636,76 @@ export default function App() {
                 </div>
               </div>
 
+              {/* Pick From My Shelf */}
+              <div className="border border-purple-100 rounded-lg p-3">
+                <label className="block text-sm font-medium text-gray-700 mb-1">Or pick from my shelf</label>
+                <div className="flex">
+                  <input
+                    type="text"
+                    placeholder="Your BoardGameGeek username"
+                    value={bggUsername}
+                    onChange={(e) => setBggUsername(e.target.value)}
+                    className="flex-grow px-4 py-2 border border-gray-300 rounded-l-lg focus:ring-2 focus:ring-purple-500"
+                  />
+                  <button
+                    type="button"
+                    onClick={loadShelf}
+                    disabled={shelfLoading}
+                    className="px-4 py-2 bg-purple-600 text-white rounded-r-lg hover:bg-purple-700 disabled:opacity-50"
+                  >
+                    {shelfLoading ? 'Loading...' : 'Load my shelf'}
+                  </button>
+                </div>
+
+                {shelf.length > 0 && (
+                  <>
+                    <div className="flex gap-3 mt-3 text-sm">
+                      <label className="flex items-center text-gray-600">
+                        Players
+                        <input
+                          type="number"
+                          min="1"
+                          value={shelfFilters.players}
+                          onChange={(e) => setShelfFilters({ ...shelfFilters, players: e.target.value })}
+                          className="ml-2 w-16 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </label>
+                      <label className="flex items-center text-gray-600">
+                        Max. playtime (min)
+                        <input
+                          type="number"
+                          min="0"
+                          value={shelfFilters.maxTime}
+                          onChange={(e) => setShelfFilters({ ...shelfFilters, maxTime: e.target.value })}
+                          className="ml-2 w-20 px-2 py-1 border border-gray-300 rounded"
+                        />
+                      </label>
+                    </div>
+
+                    <ul className="mt-3 max-h-[200px] overflow-auto divide-y divide-gray-100">
+                      {filteredShelf.map((game) => (
+                        <li
+                          key={game.id}
+                          onClick={() => addFlexibleGame(game)}
+                          className={`flex items-center py-2 cursor-pointer hover:bg-purple-50 ${
+                            formData.flexibleGames.some(g => g.id === game.id) ? 'opacity-50' : ''
+                          }`}
+                        >
+                          {game.thumbnail && <img src={game.thumbnail} alt={game.name} className="w-8 h-8 rounded mr-2" />}
+                          <span className="text-sm flex-grow">{game.name}</span>
+                          <small className="text-muted">
+                            {game.minPlayers}–{game.maxPlayers} players · {getPlayingTime(game.minPlayingTime, game.maxPlayingTime)}
+                          </small>
+                        </li>
+                      ))}
+                      {filteredShelf.length === 0 && (
+                        <li className="py-2 text-sm text-gray-500">No games on your shelf match these filters.</li>
+                      )}
+                    </ul>
+                  </>
+                )}
+              </div>
+
               {/* Selected Games List */}
               <div className="mt-4 flex flex-wrap gap-2">
                 {formData.flexibleGames
@@ -664,6 +1713,17 @@ export default function App() {
                   .map((game, index) => (
                     <span key={index} className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm flex items-center">
                       {game.name}
+                      {game.expansions?.length > 0 && ` + ${game.expansions.map(e => e.name).join(' + ')}`}
+                      {game.id && (
+                        <button
+                          type="button"
+                          onClick={() => openExpansionSearch(index)}
+                          className="ml-2 text-purple-600 hover:text-purple-900"
+                          title="Add expansion"
+                        >
+                          +
+                        </button>
+                      )}
                       <button
                         type="button"
                         onClick={() => removeFlexibleGame(index)}
@@ -676,6 +1736,31 @@ export default function App() {
                 }
               </div>
 
+              {/* Expansions of one of the selected games */}
+              {typeof expansionTarget === 'number' && formData.flexibleGames[expansionTarget] && (
+                <div className="mt-2">
+                  <div className="flex flex-wrap items-center gap-2 text-sm">
+                    <span>Expansions for <strong>{formData.flexibleGames[expansionTarget].name}</strong>:</span>
+                    {(formData.flexibleGames[expansionTarget].expansions || []).map((expansion) => (
+                      <span key={expansion.id} className="bg-purple-50 text-purple-800 px-2 py-0.5 rounded-full flex items-center">
+                        {expansion.name}
+                        <button
+                          type="button"
+                          onClick={() => removeExpansion(expansionTarget, expansion.id)}
+                          className="ml-1 text-purple-600 hover:text-purple-900 font-bold"
+                        >
+                          &times;
+                        </button>
+                      </span>
+                    ))}
+                    <button type="button" onClick={() => openExpansionSearch(expansionTarget)} className="text-purple-600 hover:text-purple-900">
+                      Done
+                    </button>
+                  </div>
+                  {renderExpansionSearch()}
+                </div>
+              )}
+
               {/* Players Needed */}
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">Max Players*</label>
@@ -716,6 +1801,8 @@ export default function App() {
                 </label>
               </div>              
 
+              {renderRepeatOptions()}
+
               {/* Create Button */}
               <button
                 onClick={createTable}
@@ -729,7 +1816,121 @@ export default function App() {
 
         {activeTab === 'upcoming' && (
           <div className="bg-white rounded-xl shadow-md p-6 max-w-4xl mx-auto">
-            <h2 className="text-2xl font-semibold mb-6 text-gray-800">All Upcoming Sessions</h2>
+            <div className="flex justify-between items-center mb-6">
+              <h2 className="text-2xl font-semibold text-gray-800">{showArchive ? 'Past Sessions' : 'All Upcoming Sessions'}</h2>
+              <button onClick={toggleArchive} className="text-sm text-green-700 hover:text-green-900">
+                {showArchive ? 'Show upcoming sessions' : 'Browse past sessions'}
+              </button>
+            </div>
+
+            {/* Search & Filters */}
+            <div className="mb-4 space-y-3">
+              <input
+                type="search"
+                placeholder="Search by game or location..."
+                value={searchQuery}
+                onChange={(e) => {
+                  setSearchQuery(e.target.value);
+                  setSessionsPage(1);
+                }}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500"
+              />
+
+              <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-sm">
+                <label className="flex flex-col text-gray-600">
+                  From
+                  <input
+                    type="date"
+                    value={sessionFilters.from}
+                    onChange={(e) => updateSessionFilters({ from: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  To
+                  <input
+                    type="date"
+                    value={sessionFilters.to}
+                    onChange={(e) => updateSessionFilters({ to: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Location
+                  <input
+                    type="text"
+                    value={sessionFilters.location}
+                    onChange={(e) => updateSessionFilters({ location: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Complexity
+                  <select
+                    value={sessionFilters.complexity}
+                    onChange={(e) => updateSessionFilters({ complexity: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  >
+                    <option value="">Any</option>
+                    <option value="Light">Light</option>
+                    <option value="Medium">Medium</option>
+                    <option value="Medium-Heavy">Medium-Heavy</option>
+                    <option value="Heavy">Heavy</option>
+                  </select>
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Min. playtime (min)
+                  <input
+                    type="number"
+                    min="0"
+                    value={sessionFilters.minTime}
+                    onChange={(e) => updateSessionFilters({ minTime: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Max. playtime (min)
+                  <input
+                    type="number"
+                    min="0"
+                    value={sessionFilters.maxTime}
+                    onChange={(e) => updateSessionFilters({ maxTime: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Mechanic
+                  <input
+                    type="text"
+                    placeholder="e.g. Deck Building"
+                    value={sessionFilters.mechanic}
+                    onChange={(e) => updateSessionFilters({ mechanic: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex flex-col text-gray-600">
+                  Category
+                  <input
+                    type="text"
+                    placeholder="e.g. Fantasy"
+                    value={sessionFilters.category}
+                    onChange={(e) => updateSessionFilters({ category: e.target.value })}
+                    className="mt-1 px-2 py-1 border border-gray-300 rounded"
+                  />
+                </label>
+                <label className="flex items-center text-gray-600 sm:col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={sessionFilters.openOnly}
+                    onChange={(e) => updateSessionFilters({ openOnly: e.target.checked })}
+                    className="h-4 w-4 mr-2"
+                  />
+                  Only sessions with open seats
+                </label>
+              </div>
+            </div>
+
+            {sessionsError && <p className="mb-4 text-red-600">{sessionsError}</p>}
 
             {/* Session List */}
             <div className="overflow-x-auto">
@@ -737,19 +1938,20 @@ export default function App() {
                 <thead>
                   <tr className="bg-gray-100 text-gray-600 uppercase text-sm leading-normal">
                     <th className="py-2 px-4 text-left">Link</th>
-                    <th className="py-2 px-4 text-left">Date</th>
-                    <th className="py-2 px-4 text-left">Game</th>
+                    {renderSortHeader('date', 'Date')}
+                    {renderSortHeader('game', 'Game')}
+                    {renderSortHeader('complexity', 'Complexity')}
                     <th className="py-2 px-4 text-left">Location</th>
-                    <th className="py-2 px-4 text-center">Players</th>
-                    <th className="py-2 px-4 text-center">Status</th>
+                    {renderSortHeader('players', 'Players', 'text-center')}
+                    {renderSortHeader('status', 'Status', 'text-center')}
                   </tr>
                 </thead>
                 <tbody className="text-gray-600 text-sm">
-                  {filteredSessions.map((session, idx) => (
+                  {upcomingSessions.map((session, idx) => (
                     <tr key={idx} className="border-b border-gray-200 hover:bg-gray-100">
                       <td className="py-3 px-4 text-center">
                         <a 
-                          href={getDirectTableLink(session._id)} 
+                          href={getDirectTableLink(getTableKey(session))} 
                           target="_blank" 
                           rel="noopener noreferrer"
                           className="text-blue-600 hover:text-blue-800 underline"
@@ -758,7 +1960,7 @@ export default function App() {
                         </a>
                       </td>                      
                       <td className="py-3 px-4">
-                        {formatDate(session.date)} at {session.time}
+                        {renderStart(session)}
                       </td>
                       <td className="py-3 px-4 flex items-center">
                         {session.isFlexible ? (
@@ -777,6 +1979,9 @@ export default function App() {
                           </>
                         )}
                       </td>
+                      <td className="py-3 px-4">
+                        {session.isFlexible ? getComplexityRange(session.flexibleGames) : getComplexity(session.gameData?.complexity)}
+                      </td>
                       <td className="py-3 px-4">{session.location}</td>
                       <td className="py-3 px-4 text-center">
                         {session.participants.length}/{session.playersNeeded}
@@ -793,6 +1998,28 @@ export default function App() {
                 </tbody>
               </table>
             </div>
+
+            {/* Pager */}
+            <div className="flex justify-between items-center mt-4 text-sm text-gray-600">
+              <span>{sessionsTotal} {sessionsTotal === 1 ? 'session' : 'sessions'}</span>
+              <div className="flex items-center space-x-2">
+                <button
+                  onClick={() => setSessionsPage(sessionsPage - 1)}
+                  disabled={sessionsPage <= 1}
+                  className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Previous
+                </button>
+                <span>Page {sessionsPage} of {sessionsPageCount}</span>
+                <button
+                  onClick={() => setSessionsPage(sessionsPage + 1)}
+                  disabled={sessionsPage >= sessionsPageCount}
+                  className="px-3 py-1 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
           </div>
         )}
 
@@ -807,13 +2034,203 @@ export default function App() {
               <>
                 <h2 className="text-2xl font-semibold mb-6 text-gray-800">Join Game Session</h2>
 
+                {/* Cancelled Banner */}
+                {currentTable.isCancelled && (
+                  <div className="bg-red-100 border border-red-300 text-red-800 p-4 rounded-lg mb-6 text-center">
+                    <h3 className="font-bold text-lg">Cancelled</h3>
+                    <p className="text-sm">The organizer has cancelled this session.</p>
+                  </div>
+                )}
+
+                {/* Ended Banner */}
+                {currentTable.archivedAt && !currentTable.isCancelled && (
+                  <div className="bg-gray-100 border border-gray-300 text-gray-700 p-4 rounded-lg mb-6 text-center">
+                    <h3 className="font-bold text-lg">This session has ended</h3>
+                    <p className="text-sm">It is kept here for the record, but can no longer be joined or changed.</p>
+                  </div>
+                )}
+
+                {/* Organizer Mode */}
+                {isOrganizer && !isClosed && (
+                  <div className="bg-yellow-50 border border-yellow-200 p-4 rounded-lg mb-6">
+                    <h3 className="font-bold text-yellow-800">Organizer mode</h3>
+                    <p className="text-sm text-yellow-800 mb-3">
+                      Only you can see this. Keep the organizer link secret — anyone who has it can manage the session.
+                    </p>
+
+                    <div className="flex items-center mb-3">
+                      <input
+                        type="text"
+                        readOnly
+                        value={getOrganizerLink(getTableKey(currentTable))}
+                        className="flex-grow px-4 py-2 border border-gray-300 rounded-l-lg bg-white text-sm"
+                      />
+                      <button
+                        onClick={() => copyToClipboard(getOrganizerLink(getTableKey(currentTable)))}
+                        className="px-4 py-2 bg-yellow-600 text-white rounded-r-lg hover:bg-yellow-700 transition-colors"
+                      >
+                        Copy
+                      </button>
+                    </div>
+
+                    <div className="flex items-center justify-between">
+                      <div className="flex items-center text-sm text-gray-700">
+                        <span className="mr-2">Max players:</span>
+                        <button
+                          onClick={() => updatePlayersNeeded(currentTable.playersNeeded - 1)}
+                          disabled={currentTable.playersNeeded <= Math.max(1, currentTable.participants.length)}
+                          className="px-2 bg-gray-200 rounded hover:bg-gray-300 disabled:opacity-50"
+                        >
+                          -
+                        </button>
+                        <strong className="mx-2">{currentTable.playersNeeded}</strong>
+                        <button
+                          onClick={() => updatePlayersNeeded(currentTable.playersNeeded + 1)}
+                          className="px-2 bg-gray-200 rounded hover:bg-gray-300"
+                        >
+                          +
+                        </button>
+                      </div>
+
+                      <div className="space-x-2">
+                        <button
+                          onClick={() => editData ? setEditData(null) : startEditing()}
+                          className="px-4 py-2 bg-gray-200 text-gray-800 text-sm rounded hover:bg-gray-300"
+                        >
+                          {editData ? 'Close Editor' : 'Edit Session'}
+                        </button>
+                        <button
+                          onClick={cancelTable}
+                          className="px-4 py-2 bg-red-600 text-white text-sm rounded hover:bg-red-700"
+                        >
+                          {currentTable.seriesId ? 'Skip This Date' : 'Cancel Session'}
+                        </button>
+                        {currentSeries && !currentSeries.isCancelled && (
+                          <button
+                            onClick={stopSeries}
+                            className="px-4 py-2 bg-red-100 text-red-800 text-sm rounded hover:bg-red-200"
+                          >
+                            Stop Series
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {/* Edit Form */}
+                    {editData && (
+                      <div className="mt-4 space-y-3 border-t border-yellow-200 pt-4">
+                        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Date*</label>
+                            <input
+                              type="date"
+                              value={editData.date}
+                              onChange={(e) => setEditData({ ...editData, date: e.target.value })}
+                              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-500"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">Time*</label>
+                            <input
+                              type="time"
+                              value={editData.time}
+                              onChange={(e) => setEditData({ ...editData, time: e.target.value })}
+                              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-500"
+                            />
+                          </div>
+                        </div>
+                        {currentTable.timezone && currentTable.timezone !== viewerTimezone && (
+                          <p className="text-xs text-gray-600">Date and time are in the session's timezone, {currentTable.timezone.replace(/_/g, ' ')}.</p>
+                        )}
+
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Location*</label>
+                          <input
+                            type="text"
+                            value={editData.location}
+                            onChange={(e) => setEditData({ ...editData, location: e.target.value })}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-500"
+                          />
+                        </div>
+
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            {editData.isFlexible ? 'Suggested Games*' : 'Board Game Name*'}
+                          </label>
+                          <div className="relative">
+                            <input
+                              type="text"
+                              placeholder="Start typing to search..."
+                              value={editData.isFlexible ? editData.gameQuery : editData.gameName}
+                              onChange={(e) => handleEditGameSearch(e.target.value)}
+                              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-500"
+                              autoComplete="off"
+                            />
+
+                            {editSuggestions.length > 0 && (
+                              <ul className="list-group list-group-flush position-absolute w-100 mt-2 max-h-[160px] overflow-auto z-30">
+                                {editSuggestions.map((suggestion, idx) => (
+                                  <li key={idx} className="list-group-item cursor-pointer"
+                                    onClick={() => selectEditGame(suggestion)}
+                                  >
+                                    <div className="fw-bold">{suggestion.name}</div>
+                                    <small className="text-muted">Released: {suggestion.yearPublished}</small>
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
+                          </div>
+
+                          {editData.isFlexible && (
+                            <div className="mt-2 flex flex-wrap gap-2">
+                              {editData.flexibleGames.map((game, index) => (
+                                <span key={index} className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm flex items-center">
+                                  {game.name}
+                                  <button
+                                    type="button"
+                                    onClick={() => setEditData({
+                                      ...editData,
+                                      flexibleGames: editData.flexibleGames.filter((_, i) => i !== index)
+                                    })}
+                                    className="ml-2 text-purple-600 hover:text-purple-900 font-bold"
+                                  >
+                                    &times;
+                                  </button>
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">Max Players*</label>
+                          <input
+                            type="number"
+                            min={Math.max(1, currentTable.participants.length)}
+                            value={editData.playersNeeded}
+                            onChange={(e) => setEditData({ ...editData, playersNeeded: parseInt(e.target.value) || 1 })}
+                            className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-yellow-500"
+                          />
+                        </div>
+
+                        <button
+                          onClick={saveEdit}
+                          className="w-full bg-yellow-600 hover:bg-yellow-700 text-white font-medium py-2 px-4 rounded-lg transition-colors"
+                        >
+                          Save Changes
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                )}
+
                 {/* Game Info Card */}
                 <div className="bg-gray-50 p-4 rounded-lg mb-6">
                   <h3 className="font-bold text-lg">
                     {currentTable.isFlexible ? "Flexible Game Session" : currentTable.gameName || "Unknown Game"}
                   </h3>
                   <p className="text-sm text-gray-600">
-                    Date: {formatDate(currentTable.date)} at {currentTable.time}
+                    Date: {renderStart(currentTable)}
                   </p>
                   <p className="text-sm text-gray-600">
                     Location: {currentTable.location}
@@ -821,10 +2238,37 @@ export default function App() {
                   <p className="text-sm text-gray-600 mt-1">
                     Organized by: {currentTable.participants[0] || "Unknown"}
                   </p>
+                  <button
+                    onClick={() => createSimilar(currentTable)}
+                    className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                  >
+                    Create similar session
+                  </button>
+
+                  {/* Other dates of a recurring session */}
+                  {currentSeries && (
+                    <div className="mt-3 text-sm text-gray-600">
+                      <p>
+                        {currentSeries.isCancelled ? 'This series has been stopped.' : `${describeSeries(currentSeries)}.`}
+                      </p>
+                      {currentSeries.tables.filter(t => t.slug !== currentTable.slug).length > 0 && (
+                        <ul className="mt-1 space-y-1">
+                          {currentSeries.tables.filter(t => t.slug !== currentTable.slug).map(table => (
+                            <li key={table.slug}>
+                              <a href={getDirectTableLink(table.slug)} className={`text-blue-600 hover:underline ${table.isCancelled ? 'line-through' : ''}`}>
+                                {renderStart(table)}
+                              </a>
+                              {' '}({table.participants.length}/{table.playersNeeded})
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                  )}
                 </div>
 
                 {/* Show game details if it's a single game */}
-                {!currentTable.isFlexible && currentTable.gameData && (
+                {!currentTable.isFlexible && currentTable.gameData?.name && (
                   <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 items-start mb-6">
                     {/* Game Thumbnail */}
                     <div className="sm:col-span-1 flex justify-center">
@@ -840,9 +2284,21 @@ export default function App() {
                     {/* Game Stats */}
                     <div className="sm:col-span-2">
                       <h4 className="font-medium text-gray-700 mb-2">About {currentTable.gameData.name}</h4>
+                      {renderExpansions(currentTable.gameData)}
                       <ul className="space-y-1 text-sm text-gray-600">
                         <li><strong>Complexity:</strong> {getComplexity(currentTable.gameData.complexity)}</li>
                         <li><strong>Duration:</strong> {getPlayingTime(currentTable.gameData.minPlayingTime, currentTable.gameData.maxPlayingTime)}</li>
+                        <li>
+                          <strong>Players:</strong> {getPlayerCount(currentTable.gameData)}
+                          {getBestPlayers(currentTable.gameData) && ` (Best at ${getBestPlayers(currentTable.gameData)})`}
+                        </li>
+                        {currentTable.gameData.minAge && <li><strong>Age:</strong> {currentTable.gameData.minAge}+</li>}
+                        {currentTable.gameData.averageRating && (
+                          <li><strong>BGG Rating:</strong> {currentTable.gameData.averageRating.toFixed(1)}</li>
+                        )}
+                        {currentTable.gameData.mechanics?.length > 0 && (
+                          <li><strong>Mechanics:</strong> {currentTable.gameData.mechanics.join(', ')}</li>
+                        )}
                         <li>
                           <a href={currentTable.gameData.link} target="_blank" rel="noopener noreferrer" className="text-blue-600 hover:underline">
                             View on BoardGameGeek
@@ -854,6 +2310,7 @@ export default function App() {
                           </a>
                         </li>
                       </ul>
+                      {renderGameOwner(currentTable.gameData)}
                     </div>
                   </div>
                 )}
@@ -864,11 +2321,22 @@ export default function App() {
 
                     <div className="grid grid-cols-1 sm:grid-cols-2 gap-4 mb-4">
                       {currentTable.flexibleGames.map((game, idx) => (
-                        <div key={idx} className="bg-white border border-gray-200 rounded-lg shadow-sm p-4 flex flex-col">
+                        <div key={idx} className={`bg-white border rounded-lg shadow-sm p-4 flex flex-col ${
+                          getVoteCount(game.id) > 0 && getVoteCount(game.id) === getTopVoteCount()
+                            ? 'border-purple-400'
+                            : 'border-gray-200'
+                        }`}>
                           {/* Game Name + BGG Link */}
-                          <a href={game.link} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">
-                            {game.name}
-                          </a>
+                          <div className="flex justify-between items-start">
+                            <a href={game.link} target="_blank" rel="noopener noreferrer" className="font-medium text-blue-600 hover:underline">
+                              {game.name}
+                            </a>
+                            <span className="text-sm text-purple-700 whitespace-nowrap ml-2">
+                              {getVoteCount(game.id)} {getVoteCount(game.id) === 1 ? 'vote' : 'votes'}
+                            </span>
+                          </div>
+
+                          {renderExpansions(game)}
 
                           {/* Complexity */}
                           <div className="mt-2 text-sm text-gray-600">
@@ -880,6 +2348,12 @@ export default function App() {
                             Duration: {getPlayingTime(game.minPlayingTime, game.maxPlayingTime)}
                           </div>
 
+                          {/* Player Count */}
+                          <div className="text-sm text-gray-600">
+                            Players: {getPlayerCount(game)}
+                            {getBestPlayers(game) && ` (Best at ${getBestPlayers(game)})`}
+                          </div>
+
                           {/* How to Play on YouTube */}
                           <a 
                             href={`https://www.youtube.com/results?search_query=${encodeURIComponent(`${game.name} how to play board game`)}`}
@@ -889,6 +2363,35 @@ export default function App() {
                           >
                             How to Play (YouTube)
                           </a>
+
+                          {/* Who Brings It */}
+                          {renderGameOwner(game)}
+
+                          {/* Voting */}
+                          {!isClosed && (myName || isOrganizer) && (
+                            <div className="mt-3 flex space-x-2">
+                              {myName && (
+                                <button
+                                  onClick={() => toggleVote(game.id)}
+                                  className={`px-3 py-1 text-sm rounded ${
+                                    hasVotedFor(game.id)
+                                      ? 'bg-purple-600 text-white hover:bg-purple-700'
+                                      : 'bg-purple-100 text-purple-800 hover:bg-purple-200'
+                                  }`}
+                                >
+                                  {hasVotedFor(game.id) ? 'Voted' : 'Upvote'}
+                                </button>
+                              )}
+                              {isOrganizer && (
+                                <button
+                                  onClick={() => lockGame(game)}
+                                  className="px-3 py-1 text-sm rounded bg-yellow-100 text-yellow-800 hover:bg-yellow-200"
+                                >
+                                  Lock in
+                                </button>
+                              )}
+                            </div>
+                          )}
                         </div>
                       ))}
                     </div>
@@ -897,6 +2400,34 @@ export default function App() {
                     <div className="text-sm text-gray-600">
                       Complexity Range: <strong>{getComplexityRange(currentTable.flexibleGames)}</strong>
                     </div>
+
+                    {/* Add A Game I Will Bring */}
+                    {myName && !isClosed && (
+                      <div className="mt-4 relative">
+                        <label className="block text-sm font-medium text-gray-700 mb-1">Bringing another game?</label>
+                        <input
+                          type="text"
+                          placeholder="Search BoardGameGeek..."
+                          value={bringQuery}
+                          onChange={(e) => handleBringSearch(e.target.value)}
+                          className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500"
+                          autoComplete="off"
+                        />
+
+                        {bringSuggestions.length > 0 && (
+                          <ul className="list-group list-group-flush position-absolute w-100 mt-2 max-h-[160px] overflow-auto z-30">
+                            {bringSuggestions.map((suggestion, idx) => (
+                              <li key={idx} className="list-group-item cursor-pointer"
+                                onClick={() => bringNewGame(suggestion)}
+                              >
+                                <div className="fw-bold">{suggestion.name}</div>
+                                <small className="text-muted">Released: {suggestion.yearPublished}</small>
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    )}
                   </div>
                 )}
 
@@ -910,21 +2441,53 @@ export default function App() {
                     {currentTable.participants.map((name, idx) => (
                       <div key={idx} className="flex justify-between items-center bg-blue-50 px-4 py-2 rounded-lg">
                         <span>{name}</span>
-                        <button
-                          onClick={() => {
-                            setParticipantToRemove(name);
-                            setShowConfirmModal(true);
-                          }}
-                          className="text-red-500 hover:text-red-700 text-sm"
-                        >
-                          Remove
-                        </button>
+                        {canRemove(name) && (
+                          <button
+                            onClick={() => {
+                              setParticipantToRemove(name);
+                              setShowConfirmModal(true);
+                            }}
+                            className="text-red-500 hover:text-red-700 text-sm"
+                          >
+                            {tableTokens.participants[name] ? 'Leave' : 'Remove'}
+                          </button>
+                        )}
                       </div>
                     ))}
                   </div>
 
-                  {currentTable.participants.length < currentTable.playersNeeded && (
+                  {/* Waitlist */}
+                  {currentTable.waitlist?.length > 0 && (
+                    <div className="mb-4">
+                      <h4 className="font-medium text-gray-700 mb-2">Waitlist ({currentTable.waitlist.length})</h4>
+                      <div className="flex flex-col space-y-2">
+                        {currentTable.waitlist.map((name, idx) => (
+                          <div key={idx} className="flex justify-between items-center bg-gray-100 px-4 py-2 rounded-lg">
+                            <span>{idx + 1}. {name}</span>
+                            {canRemove(name) && (
+                              <button
+                                onClick={() => {
+                                  setParticipantToRemove(name);
+                                  setShowConfirmModal(true);
+                                }}
+                                className="text-red-500 hover:text-red-700 text-sm"
+                              >
+                                {tableTokens.participants[name] ? 'Leave' : 'Remove'}
+                              </button>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
+                  {!isClosed && (
                     <form onSubmit={handleJoin} className="mt-4">
+                      {currentTable.participants.length >= currentTable.playersNeeded && (
+                        <p className="text-sm text-gray-600 mb-2">
+                          This session is full. Join the waitlist and you will get the first seat that frees up.
+                        </p>
+                      )}
                       <input
                         id="participantName"
                         type="text"
@@ -932,16 +2495,72 @@ export default function App() {
                         className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
                         required
                       />
-                      <button
-                        type="submit"
-                        className="mt-2 w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors"
-                      >
-                        Join This Session
-                      </button>
+                      <input
+                        id="participantEmail"
+                        type="email"
+                        placeholder="Email for reminders and updates (optional)"
+                        className="mt-2 w-full px-4 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      />
+                      {currentTable.isFlexible && currentTable.participants.length < currentTable.playersNeeded && (
+                        <div className="mt-2">
+                          <p className="text-sm text-gray-600 mb-1">Which games would you like to play?</p>
+                          <div className="flex flex-wrap gap-2">
+                            {currentTable.flexibleGames.map((game) => (
+                              <label key={game.id} className="flex items-center bg-purple-50 px-3 py-1 rounded-full text-sm text-purple-800">
+                                <input
+                                  type="checkbox"
+                                  checked={joinVotes.includes(game.id)}
+                                  onChange={(e) => setJoinVotes(e.target.checked
+                                    ? [...joinVotes, game.id]
+                                    : joinVotes.filter(id => id !== game.id)
+                                  )}
+                                  className="mr-2"
+                                />
+                                {game.name}
+                              </label>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                      {currentTable.participants.length < currentTable.playersNeeded ? (
+                        <button
+                          type="submit"
+                          className="mt-2 w-full bg-green-600 hover:bg-green-700 text-white px-4 py-2 rounded-lg transition-colors"
+                        >
+                          Join This Session
+                        </button>
+                      ) : (
+                        <button
+                          type="submit"
+                          className="mt-2 w-full bg-gray-600 hover:bg-gray-700 text-white px-4 py-2 rounded-lg transition-colors"
+                        >
+                          Join Waitlist
+                        </button>
+                      )}
                     </form>
                   )}
                 </div>
 
+                {/* Calendar */}
+                {!isClosed && (
+                  <div className="flex flex-wrap items-center gap-2 mb-6">
+                    <a
+                      href={getCalendarLink(getTableKey(currentTable))}
+                      className="px-4 py-2 bg-indigo-600 text-white text-sm rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                      Add to calendar
+                    </a>
+                    {myName && (
+                      <a
+                        href={getCalendarFeedLink(myName)}
+                        className="px-4 py-2 bg-indigo-100 text-indigo-800 text-sm rounded-lg hover:bg-indigo-200 transition-colors"
+                      >
+                        Subscribe to all sessions of {myName}
+                      </a>
+                    )}
+                  </div>
+                )}
+
                 {/* Share Link Box */}
                 <div className="mt-6 p-4 bg-blue-50 text-blue-800 rounded-lg">
                   <p className="font-medium mb-2">Share this link with friends:</p>
@@ -949,11 +2568,11 @@ export default function App() {
                     <input
                       type="text"
                       readOnly
-                      value={getTableLink(currentTable._id)}
+                      value={getTableLink(getTableKey(currentTable))}
                       className="flex-grow px-4 py-2 border border-gray-300 rounded-l-lg bg-white"
                     />
                     <button
-                      onClick={() => copyToClipboard(getTableLink(currentTable._id))}
+                      onClick={() => copyToClipboard(getTableLink(getTableKey(currentTable)))}
                       className="px-4 py-2 bg-blue-600 text-white rounded-r-lg hover:bg-blue-700 transition-colors"
                     >
                       Copy
@@ -988,13 +2607,24 @@ export default function App() {
                 <button
                   onClick={async () => {
                     try {
-                      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${currentTable._id}/remove`,  {
+                      const res = await fetch(`https://boardgame-scheduler.onrender.com/api/table/${getTableKey(currentTable)}/remove`,  {
                         method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({ name: participantToRemove }),
+                        headers: { 'Content-Type': 'application/json', ...organizerHeaders() },
+                        body: JSON.stringify({
+                          name: participantToRemove,
+                          participantToken: tableTokens.participants[participantToRemove]
+                        }),
                       });
 
                       const updatedTable = await res.json();
+                      if (!res.ok) {
+                        alert(updatedTable.error || "Could not remove participant");
+                        setShowConfirmModal(false);
+                        return;
+                      }
+
+                      const { [participantToRemove]: _removed, ...remainingParticipants } = tableTokens.participants;
+                      storeTokens(currentTableId, { ...tableTokens, participants: remainingParticipants });
                       setCurrentTable(updatedTable);
                       setTables(prev => prev.map(t => t._id === currentTable._id ? updatedTable : t));
                       setShowConfirmModal(false);